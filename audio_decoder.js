@@ -0,0 +1,356 @@
+// Decoding of the client audio into the 16-bit PCM fed to the VAD: raw s16le / f32le,
+// G.711 μ-law / A-law, or WAV (format read from the header). Interleaved multi-channel
+// audio is mixed down, reduced to one selected channel, or split into one PCM stream
+// per channel (per-channel VAD).
+const { SUPPORTED_INPUT_RATES } = require('./resampler');
+
+const INPUT_ENCODINGS = ['s16le', 'f32le', 'ulaw', 'alaw', 'wav'];
+const BYTES_PER_SAMPLE = { s16le: 2, f32le: 4, ulaw: 1, alaw: 1 };
+const MAX_CHANNELS = 8;
+// A WAV header is a few dozen bytes; give up if no data chunk shows up within this much
+const MAX_WAV_HEADER_BYTES = 1024 * 1024;
+
+// Content-Type (without parameters) -> encoding. Non-audio types keep the configured default.
+const CONTENT_TYPE_ENCODINGS = {
+  'audio/pcmu': 'ulaw',
+  'audio/basic': 'ulaw',
+  'audio/mulaw': 'ulaw',
+  'audio/x-mulaw': 'ulaw',
+  'audio/pcma': 'alaw',
+  'audio/alaw': 'alaw',
+  'audio/x-alaw': 'alaw',
+  'audio/wav': 'wav',
+  'audio/wave': 'wav',
+  'audio/x-wav': 'wav',
+  'audio/vnd.wave': 'wav',
+};
+
+class AudioFormatError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AudioFormatError';
+    this.status = 400;
+  }
+}
+
+// --- G.711 (ITU-T G.711, same algorithm as the reference g711.c) ---
+const decodeUlaw = (code) => {
+  const value = ~code & 0xff;
+  const magnitude = ((((value & 0x0f) << 3) + 0x84) << ((value >> 4) & 0x07)) - 0x84;
+  return value & 0x80 ? -magnitude : magnitude;
+};
+
+const decodeAlaw = (code) => {
+  const value = code ^ 0x55;
+  const segment = (value >> 4) & 0x07;
+  const mantissa = (value & 0x0f) << 4;
+  const magnitude = segment === 0 ? mantissa + 8 : (mantissa + 0x108) << (segment - 1);
+  return value & 0x80 ? magnitude : -magnitude;
+};
+
+const ULAW_TABLE = Int16Array.from({ length: 256 }, (_, code) => decodeUlaw(code));
+const ALAW_TABLE = Int16Array.from({ length: 256 }, (_, code) => decodeAlaw(code));
+
+// --- WAV ---
+// fmt chunk format codes (WAVE_FORMAT_EXTENSIBLE carries the real code in its sub-format GUID)
+const WAV_FORMAT_PCM = 1;
+const WAV_FORMAT_FLOAT = 3;
+const WAV_FORMAT_ALAW = 6;
+const WAV_FORMAT_MULAW = 7;
+const WAV_FORMAT_EXTENSIBLE = 0xfffe;
+
+const parseWavFmt = (body) => {
+  if (body.length < 16) {
+    throw new AudioFormatError('Invalid WAV header: fmt chunk too short');
+  }
+  let formatCode = body.readUInt16LE(0);
+  const channels = body.readUInt16LE(2);
+  const sampleRate = body.readUInt32LE(4);
+  const bitsPerSample = body.readUInt16LE(14);
+  if (formatCode === WAV_FORMAT_EXTENSIBLE && body.length >= 26) {
+    formatCode = body.readUInt16LE(24);
+  }
+
+  let encoding = null;
+  if (formatCode === WAV_FORMAT_PCM && bitsPerSample === 16) {
+    encoding = 's16le';
+  } else if (formatCode === WAV_FORMAT_FLOAT && bitsPerSample === 32) {
+    encoding = 'f32le';
+  } else if (formatCode === WAV_FORMAT_MULAW && bitsPerSample === 8) {
+    encoding = 'ulaw';
+  } else if (formatCode === WAV_FORMAT_ALAW && bitsPerSample === 8) {
+    encoding = 'alaw';
+  }
+  if (!encoding) {
+    throw new AudioFormatError(`Unsupported WAV format: code ${formatCode}, ${bitsPerSample} bits (supported: 16-bit PCM, 32-bit float, 8-bit μ-law or A-law)`);
+  }
+  return { encoding, sampleRate, channels };
+};
+
+/**
+ * Checks a decoded or requested format.
+ * @throws {AudioFormatError}
+ */
+const validateInputFormat = ({ encoding, sampleRate, channels, channelMode }) => {
+  if (!INPUT_ENCODINGS.includes(encoding)) {
+    throw new AudioFormatError(`Unsupported input encoding: ${encoding} (supported: ${INPUT_ENCODINGS.join(', ')})`);
+  }
+  if (encoding === 'wav') {
+    return; // Rate and channels come from the header
+  }
+  if (!SUPPORTED_INPUT_RATES.includes(sampleRate)) {
+    throw new AudioFormatError(`Unsupported input sample rate: ${sampleRate}Hz (supported: ${SUPPORTED_INPUT_RATES.join(', ')})`);
+  }
+  if (!Number.isInteger(channels) || channels < 1 || channels > MAX_CHANNELS) {
+    throw new AudioFormatError(`Unsupported number of channels: ${channels} (supported: 1 to ${MAX_CHANNELS})`);
+  }
+  if (typeof channelMode === 'number' && channelMode >= channels) {
+    throw new AudioFormatError(`Invalid channel ${channelMode}: the input has ${channels} channel(s)`);
+  }
+};
+
+// 'mix', 'separate', 'left' (0), 'right' (1) or a channel index
+const parseChannelMode = (value) => {
+  const mode = String(value).trim().toLowerCase();
+  if (mode === 'mix' || mode === 'separate') {
+    return mode;
+  }
+  if (mode === 'left' || mode === 'right') {
+    return mode === 'left' ? 0 : 1;
+  }
+  if (/^\d+$/.test(mode)) {
+    return parseInt(mode, 10);
+  }
+  throw new AudioFormatError(`Invalid channel mode: ${value} (expected mix, separate, left, right or a channel index)`);
+};
+
+const parsePositiveInt = (name, value) => {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new AudioFormatError(`Invalid ${name}: ${value}`);
+  }
+  return number;
+};
+
+/**
+ * Input format of a request (HTTP or WebSocket upgrade). Precedence, highest first:
+ * query parameters (encoding, sample_rate, channels, channel_mode, channel_labels),
+ * the Content-Type and its rate/channels parameters (e.g. audio/pcmu;rate=8000, audio/wav),
+ * then the defaults.
+ * @param {object} defaults { encoding, sampleRate, channels, channelMode, channelLabels }
+ * @returns {{ encoding: string, sampleRate: number, channels: number, channelMode: 'mix'|'separate'|number, channelLabels: string[] }}
+ * @throws {AudioFormatError} On an unsupported format
+ */
+const resolveInputFormat = (req, defaults) => {
+  const query = new URL(req.url, 'http://localhost').searchParams;
+  const format = { ...defaults };
+
+  const [contentType, ...contentTypeParams] = (req.headers['content-type'] || '').split(';').map((part) => part.trim());
+  const mediaType = contentType.toLowerCase();
+  if (CONTENT_TYPE_ENCODINGS[mediaType]) {
+    format.encoding = CONTENT_TYPE_ENCODINGS[mediaType];
+    // G.711 is 8kHz unless stated otherwise
+    if (format.encoding === 'ulaw' || format.encoding === 'alaw') {
+      format.sampleRate = 8000;
+    }
+  } else if (mediaType.startsWith('audio/')) {
+    throw new AudioFormatError(`Unsupported Content-Type: ${contentType}`);
+  }
+  for (const param of contentTypeParams) {
+    const [key, value] = param.split('=').map((part) => part.trim());
+    if (key.toLowerCase() === 'rate') {
+      format.sampleRate = parsePositiveInt('sample rate', value);
+    } else if (key.toLowerCase() === 'channels') {
+      format.channels = parsePositiveInt('channels', value);
+    }
+  }
+
+  if (query.has('encoding')) {
+    format.encoding = query.get('encoding').toLowerCase();
+  }
+  if (query.has('sample_rate')) {
+    format.sampleRate = parsePositiveInt('sample_rate', query.get('sample_rate'));
+  }
+  if (query.has('channels')) {
+    format.channels = parsePositiveInt('channels', query.get('channels'));
+  }
+  format.channelMode = parseChannelMode(query.get('channel_mode') || req.headers['x-channel-mode'] || (format.channelMode ?? 'mix'));
+  const labels = query.get('channel_labels') || req.headers['x-channel-labels'];
+  if (labels) {
+    format.channelLabels = labels.split(',').map((label) => label.trim());
+  }
+  format.channelLabels = format.channelLabels || [];
+
+  validateInputFormat(format);
+  return format;
+};
+
+// Human-readable summary for the logs
+const describeInputFormat = ({ encoding, sampleRate, channels, channelMode }) => {
+  if (encoding === 'wav') {
+    return `wav (format from header, channels: ${channelMode})`;
+  }
+  return `${encoding} ${sampleRate}Hz, ${channels} channel(s)${channels > 1 ? `, channels: ${channelMode}` : ''}`;
+};
+
+/**
+ * Streaming decoder of one connection's audio. decode() can be fed arbitrary chunks:
+ * partial samples (and, for WAV, a partial header) are kept for the next call.
+ */
+class AudioDecoder {
+  /**
+   * @param {object} options As returned by resolveInputFormat
+   * @param {string} options.encoding s16le, f32le, ulaw, alaw or wav
+   * @param {number} [options.sampleRate] Ignored for wav (read from the header)
+   * @param {number} [options.channels=1] Ignored for wav
+   * @param {'mix'|'separate'|number} [options.channelMode='mix'] Mix the channels down, run one VAD per
+   *   channel, or keep a single channel (index)
+   * @param {string[]} [options.channelLabels] Labels of the channels in 'separate' mode
+   */
+  constructor({ encoding, sampleRate, channels = 1, channelMode = 'mix', channelLabels = [] }) {
+    this.channelMode = channelMode;
+    this.channelLabels = channelLabels;
+    // Known once the header has been parsed for WAV input
+    this.format = encoding === 'wav' ? null : { encoding, sampleRate, channels };
+    this.pending = Buffer.alloc(0); // Partial header or partial sample frame
+    this.dataRemaining = null; // WAV data chunk bytes not received yet (null = until the end of the input)
+    if (this.format) {
+      validateInputFormat({ ...this.format, channelMode });
+    }
+  }
+
+  // Label of each decoded PCM stream: one per input channel in 'separate' mode, else a single null label
+  get outputLabels() {
+    if (this.channelMode !== 'separate') {
+      return [null];
+    }
+    const { channels } = this.format;
+    const defaults = channels === 2 ? ['left', 'right'] : Array.from({ length: channels }, (_, index) => String(index));
+    return defaults.map((label, index) => this.channelLabels[index] || label);
+  }
+
+  /**
+   * Decodes a chunk of client audio.
+   * @param {Buffer} chunk
+   * @returns {Buffer[]|null} 16-bit PCM for each output channel, null while the WAV header is incomplete
+   * @throws {AudioFormatError} On an invalid or unsupported WAV header
+   */
+  decode(chunk) {
+    if (!this.format) {
+      this.pending = Buffer.concat([this.pending, chunk]);
+      if (!this._parseWavHeader()) {
+        if (this.pending.length > MAX_WAV_HEADER_BYTES) {
+          throw new AudioFormatError('Invalid WAV input: no data chunk found');
+        }
+        return null;
+      }
+      // What follows the header is audio
+      chunk = this.pending;
+      this.pending = Buffer.alloc(0);
+    }
+    if (this.dataRemaining !== null) {
+      // Chunks after the data chunk (e.g. LIST metadata) are not audio
+      chunk = chunk.slice(0, this.dataRemaining);
+      this.dataRemaining -= chunk.length;
+    }
+    return this._decodeSamples(this.pending.length > 0 ? Buffer.concat([this.pending, chunk]) : chunk);
+  }
+
+  // Whether the input ended in the middle of a WAV header
+  get incomplete() {
+    return !this.format && this.pending.length > 0;
+  }
+
+  // Parses the RIFF header once the data chunk has been reached, returns false if more bytes are needed
+  _parseWavHeader() {
+    const buffer = this.pending;
+    if (buffer.length < 12) {
+      return false;
+    }
+    if (buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+      throw new AudioFormatError('Invalid WAV input: missing RIFF/WAVE header');
+    }
+
+    let format = null;
+    let offset = 12;
+    while (offset + 8 <= buffer.length) {
+      const id = buffer.toString('ascii', offset, offset + 4);
+      const size = buffer.readUInt32LE(offset + 4);
+      if (id === 'data') {
+        if (!format) {
+          throw new AudioFormatError('Invalid WAV input: data chunk before fmt chunk');
+        }
+        validateInputFormat({ ...format, channelMode: this.channelMode });
+        this.format = format;
+        // Streaming writers leave the size at 0 or 0xFFFFFFFF
+        this.dataRemaining = size === 0 || size === 0xffffffff ? null : size;
+        this.pending = buffer.slice(offset + 8);
+        return true;
+      }
+      const end = offset + 8 + size + (size % 2); // Chunks are word-aligned
+      if (end > buffer.length) {
+        return false;
+      }
+      if (id === 'fmt ') {
+        format = parseWavFmt(buffer.slice(offset + 8, offset + 8 + size));
+      }
+      offset = end;
+    }
+    return false;
+  }
+
+  _readSample(data, offset) {
+    switch (this.format.encoding) {
+      case 's16le':
+        return data.readInt16LE(offset);
+      case 'f32le':
+        return Math.round(Math.max(-1, Math.min(1, data.readFloatLE(offset))) * 32767);
+      case 'ulaw':
+        return ULAW_TABLE[data[offset]];
+      default:
+        return ALAW_TABLE[data[offset]];
+    }
+  }
+
+  _decodeSamples(data) {
+    const { encoding, channels } = this.format;
+    const sampleBytes = BYTES_PER_SAMPLE[encoding];
+    const frameBytes = sampleBytes * channels;
+    const usableBytes = data.length - (data.length % frameBytes);
+    this.pending = data.slice(usableBytes);
+
+    // Mono 16-bit PCM is already in the VAD input format
+    if (encoding === 's16le' && channels === 1) {
+      return [data.slice(0, usableBytes)];
+    }
+
+    const frames = usableBytes / frameBytes;
+    const outputs = this.outputLabels.map(() => Buffer.alloc(frames * 2));
+    for (let frame = 0; frame < frames; frame++) {
+      let sum = 0;
+      for (let channel = 0; channel < channels; channel++) {
+        const sample = this._readSample(data, (frame * channels + channel) * sampleBytes);
+        if (this.channelMode === 'separate') {
+          outputs[channel].writeInt16LE(sample, frame * 2);
+        } else if (this.channelMode === channel) {
+          outputs[0].writeInt16LE(sample, frame * 2);
+        } else {
+          sum += sample;
+        }
+      }
+      if (this.channelMode === 'mix') {
+        outputs[0].writeInt16LE(Math.round(sum / channels), frame * 2);
+      }
+    }
+    return outputs;
+  }
+}
+
+module.exports = {
+  AudioDecoder,
+  AudioFormatError,
+  INPUT_ENCODINGS,
+  resolveInputFormat,
+  validateInputFormat,
+  describeInputFormat,
+};
@@ -0,0 +1,95 @@
+// Offline transcription of a complete recording: the same VAD + STT pipeline as the live
+// endpoints (VadSession), fed as fast as the model runs instead of at the speaking pace,
+// with the segments collected into one document instead of streamed as events.
+const VadSession = require('./vad_session');
+const { toSrt, toVtt } = require('./subtitles');
+
+const BATCH_OUTPUT_FORMATS = ['json', 'srt', 'vtt'];
+
+/**
+ * Runs a recording through a VadSession and collects its segments.
+ * Segments shorter than minSpeechDurationMs are left out, as they are never transcribed.
+ * @param {import('stream').Readable} audio Recording, in sessionOptions.inputFormat
+ * @param {object} sessionOptions VadSession options (see getSessionOptions in service_config.js),
+ *   plus vadOnly to skip STT
+ * @param {{ signal?: AbortSignal }} [options] Aborting stops the processing and rejects
+ * @returns {Promise<{ sessionId: string, segments: object[] }>} Segments in time order. Rejects with the session
+ *   error on a fatal failure, its `code` set to the error event code (e.g. invalid_audio)
+ */
+const transcribeRecording = (audio, sessionOptions, { signal } = {}) => new Promise((resolve, reject) => {
+  // Interim transcripts are of no use once the whole recording is available
+  const session = new VadSession({ ...sessionOptions, vadOptions: { ...sessionOptions.vadOptions, interimIntervalMs: 0 } });
+  const segments = new Map(); // segmentId -> segment
+  let errorEvent = null;
+
+  session.on('event', (event) => {
+    if (event.type === 'speech_end' && event.durationMs >= sessionOptions.minSpeechDurationMs) {
+      segments.set(event.segmentId, {
+        segmentId: event.segmentId,
+        ...(event.channel !== undefined ? { channel: event.channel } : {}),
+        startMs: event.startMs,
+        endMs: event.endMs,
+        durationMs: event.durationMs,
+        confidence: Math.round(event.confidence * 1000) / 1000,
+        ...(sessionOptions.vadOnly ? {} : { text: null }),
+      });
+    } else if (event.type === 'transcript' && !event.partial && segments.has(event.segmentId)) {
+      segments.get(event.segmentId).text = event.text;
+    } else if (event.type === 'error') {
+      if (segments.has(event.segmentId)) {
+        segments.get(event.segmentId).error = { code: event.code, message: event.message };
+      } else {
+        errorEvent = event;
+      }
+    }
+  });
+
+  session.on('error', (err) => {
+    audio.unpipe(session.input);
+    audio.resume(); // Drain the rest of the recording
+    err.code = errorEvent ? errorEvent.code : err.code;
+    reject(err);
+  });
+
+  session.on('done', () => {
+    // Channels are processed side by side: order their segments by time
+    resolve({ sessionId: session.sessionId, segments: Array.from(segments.values()).sort((a, b) => a.startMs - b.startMs || a.segmentId - b.segmentId) });
+  });
+
+  audio.on('error', (err) => {
+    session.destroy();
+    reject(err);
+  });
+
+  if (signal) {
+    signal.addEventListener('abort', () => {
+      audio.unpipe(session.input);
+      session.destroy();
+      reject(new Error('Transcription aborted'));
+    }, { once: true });
+  }
+
+  audio.pipe(session.input);
+});
+
+/**
+ * @param {{ sessionId: string, segments: object[] }} result
+ * @param {'json'|'srt'|'vtt'} format
+ * @returns {{ contentType: string, body: string }}
+ */
+const renderTranscription = (result, format) => {
+  switch (format) {
+    case 'srt':
+      return { contentType: 'application/x-subrip; charset=utf-8', body: toSrt(result.segments) };
+    case 'vtt':
+      return { contentType: 'text/vtt; charset=utf-8', body: toVtt(result.segments) };
+    default:
+      return { contentType: 'application/json; charset=utf-8', body: `${JSON.stringify(result, null, 2)}\n` };
+  }
+};
+
+module.exports = {
+  BATCH_OUTPUT_FORMATS,
+  transcribeRecording,
+  renderTranscription,
+};
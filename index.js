@@ -1,206 +1,350 @@
 require('dotenv').config();
-const fs = require("fs");
-const path = require("path");
 const express = require("express");
-const axios = require('axios'); // To send data to the transcription service
-const SileroVADStream = require('./silero_stream'); // Require from same directory
+const { WebSocketServer, WebSocket } = require("ws");
+const VadSession = require('./vad_session'); // Require from same directory
+const metrics = require('./metrics');
+const { getVadModel } = require('./vad_model');
+const {
+  STT_PROVIDER,
+  STT_PROVIDERS,
+  STT_CLIENT_OPTIONS,
+  VAD_CONFIG,
+  RECORDING_CONFIG,
+  WEBHOOK_CONFIG,
+  MODEL_PATH,
+  VAD_SESSION_POOL_SIZE,
+  resolveRequestParams,
+  getSessionOptions,
+  logSessionConfig,
+} = require('./service_config'); // Environment configuration, exits on invalid settings
+const { BATCH_OUTPUT_FORMATS, transcribeRecording, renderTranscription } = require('./batch_transcriber');
+const { EventWriter, negotiateOutputMode, ERROR_CODES } = require('./output_writer');
+const { pruneRecordings } = require('./segment_recorder');
+const { logger } = require('./logger');
+const { vadEvents } = require('./vad_events');
+const { WebhookNotifier } = require('./webhook_notifier');
 
 const app = express();
 
-// --- Configuration ---
-// Use environment variables with defaults
-const MIN_SPEECH_DURATION = parseInt(process.env.VAD_MIN_SPEECH_DURATION_MS || '1000', 10); // Minimum speech duration in milliseconds
-// IMPORTANT: Ensure the path '/transcribe' is correct for your STT service or update STT_URL in your .env file
-const STT_URL = process.env.STT_URL || 'http://localhost:6021/transcribe'; // URL of the STT service
-
-// Audio configuration (Input from client)
-const INPUT_AUDIO_CONFIG = {
-  sampleRate: 8000,
-  channels: 1,
-  bitsPerSample: 16,
-};
-
-// Path to the ONNX model (relative to this server.js file) - Keeping this hardcoded for now
-const MODEL_PATH = path.join(__dirname, 'silero_vad.onnx');
-if (!fs.existsSync(MODEL_PATH)) {
-    console.error(`\n!!! FATAL ERROR: ONNX model not found at ${MODEL_PATH}`);
-    console.error(`Ensure 'silero_vad.onnx' is inside the 'vad_service' directory.`);
-    process.exit(1);
-}
-
 // --- VAD Stream Handler ---
 const handleAudioStream = async (req, res) => {
-  let speechStartTime = null;
-  let vadStream = null; // Define vadStream here to access it in error handlers
+  let session = null; // Define session here to access it in error handlers
 
-  // The VAD service only detects speech and forwards audio.
-  // It NOW waits for transcription and sends it back to the original client.
-  // The client would need a separate mechanism (e.g., WebSocket) to get results.
-  res.setHeader("Content-Type", "text/plain; charset=utf-8"); // Ensure correct encoding for text
-  res.setHeader("Cache-Control", "no-cache");
-  res.setHeader("Connection", "keep-alive");
+  // The VAD service detects speech, forwards the audio to STT and sends the
+  // transcriptions back to the original client, in the negotiated output mode.
+  const outputMode = negotiateOutputMode(req);
+  if (!outputMode) {
+    return res.status(400).json({ message: `Unsupported output format: ${req.query.format}` });
+  }
+  let params;
+  try {
+    params = resolveRequestParams(req);
+  } catch (err) {
+    return res.status(400).json({ message: err.message });
+  }
+  const log = logger.child({ sessionId: params.sessionId });
+  res.setHeader('X-Call-Id', params.sessionId);
+  const output = new EventWriter(res, outputMode);
+  output.start();
 
-  console.log(`\n[${new Date().toISOString()}] VAD Service: New connection`);
+  log.info('New connection', { transport: 'http', output: outputMode, sttProvider: params.sttProvider });
 
   try {
-      // Use environment variables for VAD parameters
-      const vadThreshold = parseFloat(process.env.VAD_THRESHOLD || '0.2');
-      const vadMinSilenceMs = parseInt(process.env.VAD_MIN_SILENCE_MS || '500', 10);
-      const vadSpeechPadMs = parseInt(process.env.VAD_SPEECH_PAD_MS || '300', 10);
-      const onnxProvider = process.env.ONNX_PROVIDER || 'cpu';
-
-      vadStream = new SileroVADStream({
-        inputSampleRate: INPUT_AUDIO_CONFIG.sampleRate,
-        modelPath: MODEL_PATH,
-        // Use parameters from environment variables or defaults
-        threshold: vadThreshold,
-        minSilenceDurationMs: vadMinSilenceMs,
-        speechPadMs: vadSpeechPadMs,
-        provider: onnxProvider // Pass provider from env
+      session = new VadSession(getSessionOptions(params, 'http'));
+      logSessionConfig(session, params);
+
+      session.on('event', (event) => output.write(event));
+      session.on('error', () => {
+        // The error event has already been written to the client
+        if (!res.writableEnded) {
+            res.end();
+        }
       });
 
-      // Get the actual sample rate the VAD stream outputs (likely 16000Hz)
-      const outputSampleRate = vadStream.options.sampleRate;
-      console.log(`[VAD Service] VAD initialized. Outputting audio at ${outputSampleRate}Hz.`);
-      console.log(` - Threshold: ${vadThreshold}, Min Silence: ${vadMinSilenceMs}ms, Padding: ${vadSpeechPadMs}ms, Provider: ${onnxProvider}`);
-
-      req.pipe(vadStream)
-        .on('error', (err) => {
-          console.error(`\n!!! VAD Service: SileroVADStream Error: ${err.message}`);
-          if (!res.writableEnded) {
-              res.status(500).write(`VAD Processing Error: ${err.message}\n`);
-              res.end();
-          }
-        })
-        .on("data", async ({ speech: speechEvent, audioData: chunk }) => {
-          // chunk is at VAD's internal rate (e.g., 16kHz)
-
-          if (speechEvent.start) {
-            console.log(`(${new Date().toISOString()}) VAD Service: Speech Start Detected`);
-            speechStartTime = Date.now();
-            // No file handling needed here
-          }
-
-          if (speechEvent.end) {
-            const speechDuration = Date.now() - speechStartTime;
-            console.log(`(${new Date().toISOString()}) VAD Service: Speech End Detected - Duration: ${(speechDuration / 1000).toFixed(2)}s`);
-
-            // Reset start time for next segment
-            speechStartTime = null;
-
-            // Use the chunk directly from the end event (includes padding)
-            const combinedAudio = chunk && chunk.length > 0 ? chunk : Buffer.alloc(0);
-
-            if (!combinedAudio || combinedAudio.length === 0) {
-              console.log("[VAD Service] Speech end event received no audio data, discarding.");
-              return;
-            }
-
-            if (speechDuration >= MIN_SPEECH_DURATION) {
-              console.log(`[VAD Service] Sending audio chunk (${(combinedAudio.length / 1024).toFixed(2)} KB, ${outputSampleRate}Hz) to STT Service...`);
-
-              try {
-                // Send raw audio buffer and sample rate to transcription service
-                const response = await axios.post(STT_URL, combinedAudio, { // Use STT_URL
-                    headers: {
-                        'Content-Type': 'application/octet-stream',
-                        'X-Sample-Rate': outputSampleRate // Send sample rate as a header
-                    },
-                    maxBodyLength: Infinity, // Allow large audio buffers
-                    maxContentLength: Infinity
-                });
-                console.log(`[VAD Service] Successfully sent audio to STT Service. Status: ${response.status}`); // Updated log
-
-                // Extract transcription from the response
-                const transcription = response.data && response.data.transcription;
-
-                if (transcription && !res.writableEnded) {
-                    console.log(`[VAD Service] Received transcription: \"${transcription}\". Sending back to client.`);
-                    // Send transcription back to the original client
-                    res.write(transcription + "\n"); // Add newline as a delimiter
-                } else if (!res.writableEnded) {
-                     console.log("[VAD Service] Received empty or no transcription data from service.");
-                     // Optionally send an indication back to client
-                     // res.write("[No transcription]\n");
-                }
-
-              } catch (err) { // Renamed error variable for clarity
-                console.error(`[VAD Service] Failed to send/receive from STT Service at ${STT_URL}`); // Updated log
-                if (err.response) {
-                    // The request was made and the server responded with a status code
-                    // that falls out of the range of 2xx
-                    console.error(` - Status: ${err.response.status}`);
-                    console.error(` - Data: ${JSON.stringify(err.response.data)}`); // Log response data if available
-                } else if (err.request) {
-                    // The request was made but no response was received
-                    console.error(' - No response received:', err.message);
-                } else {
-                    // Something happened in setting up the request that triggered an Error
-                    console.error(' - Error setting up request:', err.message);
-                }
-
-                // Inform the client about the error
-                 if (!res.writableEnded) {
-                    res.write("[VAD Service: Error during transcription process]\n");
-                 }
-              }
-            } else {
-              console.log(`[VAD Service] Speech too short (${(speechDuration / 1000).toFixed(2)}s), discarding.`);
-            }
-          } // end speech.end handling
-        }) // end vadStream.on('data')
-        .on('finish', () => {
-          console.log(`(${new Date().toISOString()}) VAD Service: VAD Stream finished processing.`);
-          // Do NOT end the response here automatically.
-          // End it only when the client connection ends (req.on('end'))
-          // or if a critical error occurs.
-          // if (!res.writableEnded) {
-          //   res.end();
-          // }
-        });
+      req.pipe(session.input);
 
   } catch (initError) {
-      console.error(`[VAD Service] Failed to initialize VAD stream: ${initError.message}`);
+      log.error('Failed to initialize VAD stream', { error: initError });
       if (!res.writableEnded) {
-          res.status(500).write(`VAD Initialization Error: ${initError.message}\n`);
+          res.status(500);
+          output.write({ type: 'error', code: ERROR_CODES.VAD_INIT_FAILED, message: initError.message, sessionId: params.sessionId });
           res.end();
       }
       return; // Stop further processing
   }
 
   req.on("end", () => {
-    console.log(`(${new Date().toISOString()}) VAD Service: Client connection ended.`);
-    // VAD stream 'finish' event usually handles ending the response.
-    // Ensure it ends if it hasn't already.
+    log.info('Client audio ended, waiting for pending transcriptions');
+  });
+
+  // The response ends once the last segment has been transcribed
+  session.on('done', () => {
+    log.info('Client connection ended');
     if (!res.writableEnded) {
         res.end();
     }
   });
 
+  // Client disconnected before the response completed: cancel pending STT requests
+  res.on("close", () => {
+    if (!res.writableFinished) {
+        log.info('Client disconnected, cancelling pending transcriptions');
+        session.close();
+    }
+  });
+
   req.on("error", (err) => {
-    console.error(`(${new Date().toISOString()}) VAD Service: Request stream error:`, err);
-    if (vadStream) {
-        vadStream.unpipe(req);
-        vadStream.destroy(err);
+    log.error('Request stream error', { error: err });
+    if (session) {
+        req.unpipe(session.input);
+        session.destroy(err);
     }
     if (!res.headersSent) {
         res.status(500).json({ message: "Error receiving audio stream" });
     } else if (!res.writableEnded) {
+        output.write({ type: 'error', code: ERROR_CODES.STREAM_ERROR, message: "Error receiving audio stream", sessionId: params.sessionId });
         res.end();
     }
   });
 };
 
+// --- WebSocket Handler ---
+// Binary frames carry PCM audio, text frames carry JSON control messages:
+//   { "type": "flush" }                            close the current utterance now
+//   { "type": "reset" }                            drop the current utterance and reset the VAD state
+//   { "type": "set_threshold", "threshold": 0.4 }  change the VAD threshold
+// Events are sent back as JSON text frames (same payloads as the ndjson output mode).
+// Request parameters are validated at upgrade time (see verifyWebSocketClient).
+const handleWebSocket = (ws, req) => {
+  let session = null;
+  const params = req.sessionParams;
+  const log = logger.child({ sessionId: params.sessionId });
+
+  // Acks and control errors are tagged with the session id too
+  const send = (event) => {
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify({ ...event, sessionId: params.sessionId, timestamp: event.timestamp || new Date().toISOString() }));
+    }
+  };
+
+  log.info('New connection', { transport: 'websocket', sttProvider: params.sttProvider });
+
+  try {
+    session = new VadSession(getSessionOptions(params, 'websocket'));
+    logSessionConfig(session, params);
+  } catch (initError) {
+    log.error('Failed to initialize VAD stream', { error: initError });
+    send({ type: 'error', code: ERROR_CODES.VAD_INIT_FAILED, message: initError.message });
+    ws.close(1011, 'VAD initialization failed');
+    return;
+  }
+
+  session.on('event', send);
+  session.on('error', () => {
+    // The error event has already been sent to the client
+    ws.close(1011, 'VAD processing failed');
+  });
+
+  // Backpressure: stop reading the socket while the VAD is behind, so a client sending
+  // faster than inference does not buffer unbounded audio
+  let paused = false;
+  session.input.on('drain', () => {
+    if (paused) {
+      paused = false;
+      ws.resume();
+    }
+  });
+
+  ws.on('message', (data, isBinary) => {
+    if (isBinary) {
+      if (!session.write(data) && !paused) {
+        paused = true;
+        ws.pause();
+      }
+      return;
+    }
+    handleControlMessage(session, data.toString(), send);
+  });
+
+  ws.on('close', () => {
+    log.info('WebSocket connection closed');
+    // Results can no longer be delivered: cancel pending STT requests
+    session.destroy();
+  });
+
+  ws.on('error', (err) => {
+    log.error('WebSocket error', { error: err });
+    session.destroy(err);
+  });
+};
+
+// Rejects the upgrade with a 400 when the request parameters are invalid
+const verifyWebSocketClient = (info, callback) => {
+  try {
+    info.req.sessionParams = resolveRequestParams(info.req);
+    callback(true);
+  } catch (err) {
+    callback(false, 400, err.message);
+  }
+};
+
+const handleControlMessage = (session, text, send) => {
+  let message;
+  try {
+    message = JSON.parse(text);
+  } catch (err) {
+    send({ type: 'error', code: ERROR_CODES.INVALID_CONTROL_MESSAGE, message: 'Control messages must be JSON' });
+    return;
+  }
+
+  let pending;
+  try {
+    switch (message.type) {
+      case 'flush':
+        pending = session.flush();
+        break;
+      case 'reset':
+        pending = session.reset();
+        break;
+      case 'set_threshold':
+        pending = session.setThreshold(message.threshold);
+        break;
+      default:
+        throw new Error(`Unknown control message type: ${message.type}`);
+    }
+  } catch (err) {
+    send({ type: 'error', code: ERROR_CODES.INVALID_CONTROL_MESSAGE, message: err.message });
+    return;
+  }
+
+  // Acknowledge once the command has been applied, after the audio received before it
+  pending
+    .then((result) => send({ type: 'ack', command: message.type, ...(message.type === 'set_threshold' ? { threshold: result } : {}) }))
+    .catch((err) => send({ type: 'error', code: ERROR_CODES.INVALID_CONTROL_MESSAGE, message: err.message }));
+};
+
+
+// --- Batch Transcription Handler ---
+// A complete recording (WAV or raw, same format and VAD parameters as the stream) in the
+// request body, processed without real-time pacing. Responds once with every segment:
+// ?format=json (default), srt or vtt; ?vad_only=true skips STT.
+const handleTranscribeFile = async (req, res) => {
+  const format = req.query.format || 'json';
+  if (!BATCH_OUTPUT_FORMATS.includes(format)) {
+    return res.status(400).json({ message: `Unsupported output format: ${format} (supported: ${BATCH_OUTPUT_FORMATS.join(', ')})` });
+  }
+  let params;
+  try {
+    params = resolveRequestParams(req);
+  } catch (err) {
+    return res.status(400).json({ message: err.message });
+  }
+  const vadOnly = req.query.vad_only === 'true' || req.query.vad_only === '1';
+  const log = logger.child({ sessionId: params.sessionId });
+  res.setHeader('X-Call-Id', params.sessionId);
+
+  log.info('New batch transcription', { transport: 'batch', output: format, vadOnly, sttProvider: params.sttProvider });
+
+  // Client gone before the result: stop processing and cancel pending STT requests
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      controller.abort();
+    }
+  });
+
+  try {
+    const startTime = Date.now();
+    const result = await transcribeRecording(req, { ...getSessionOptions(params, 'batch'), vadOnly }, { signal: controller.signal });
+    log.info('Batch transcription done', { segments: result.segments.length, elapsedMs: Date.now() - startTime });
+    const { contentType, body } = renderTranscription(result, format);
+    res.setHeader('Content-Type', contentType);
+    res.send(body);
+  } catch (err) {
+    if (controller.signal.aborted) {
+      log.info('Client disconnected, batch transcription cancelled');
+      return;
+    }
+    log.error('Batch transcription failed', { error: err });
+    if (!res.headersSent) {
+      res.status(err.code === ERROR_CODES.INVALID_AUDIO ? 400 : 500).json({ message: err.message, code: err.code, sessionId: params.sessionId });
+    }
+  }
+};
+
+// --- Health, Readiness and Metrics ---
+// Ready only once the ONNX model has been loaded successfully
+let modelReady = false;
+
+// Load the shared model at startup, every stream reuses it. An invalid model is fatal.
+const loadModel = async () => {
+  const provider = VAD_CONFIG.defaults.provider;
+  const poolSize = VAD_SESSION_POOL_SIZE;
+  try {
+    await getVadModel({ modelPath: MODEL_PATH, provider, poolSize });
+    modelReady = true;
+    logger.info('ONNX model loaded, service ready', { modelPath: MODEL_PATH, poolSize, provider });
+  } catch (err) {
+    logger.error('FATAL: Failed to load ONNX model', { modelPath: MODEL_PATH, error: err });
+    process.exit(1);
+  }
+};
+
+const handleHealth = (req, res) => {
+  res.json({ status: 'ok' });
+};
+
+const handleReady = (req, res) => {
+  if (!modelReady) {
+    return res.status(503).json({ status: 'not_ready', reason: 'ONNX model loading' });
+  }
+  res.json({ status: 'ready' });
+};
+
+const handleMetrics = async (req, res) => {
+  res.setHeader('Content-Type', metrics.register.contentType);
+  res.send(await metrics.register.metrics());
+};
 
 // --- Route Configuration ---
 app.post('/speech-to-text-stream', handleAudioStream);
+app.post('/transcribe-file', handleTranscribeFile);
+app.get('/healthz', handleHealth);
+app.get('/readyz', handleReady);
+app.get('/metrics', handleMetrics);
 
 // Start the VAD server
 const VAD_PORT = process.env.PORT || 6019;
-app.listen(VAD_PORT, () => {
-  console.log(`\n=== VAD Service Started ===`);
-  console.log(`Timestamp: ${new Date().toISOString()}`);
-  console.log(`Listening on port ${VAD_PORT}`);
-  console.log(`Forwarding audio to: ${STT_URL}`); // Use STT_URL
-  console.log(`========================\n`);
+const server = app.listen(VAD_PORT, () => {
+  logger.info('VAD service started', {
+    port: VAD_PORT,
+    websocketPath: '/speech-to-text-ws',
+    sttProvider: STT_PROVIDER, // Default, can be overridden per request
+    sttUrls: Object.fromEntries(Object.entries(STT_PROVIDERS).map(([provider, { urls }]) => [provider, urls])),
+    sttStrategy: STT_CLIENT_OPTIONS.strategy,
+    recordingDir: RECORDING_CONFIG ? RECORDING_CONFIG.directory : null,
+    webhooks: WEBHOOK_CONFIG ? WEBHOOK_CONFIG.urls : null,
+    logLevel: logger.level
+  });
+});
+
+loadModel();
+
+// Speech and transcript notifications (e.g. barge-in) for the configured receivers
+if (WEBHOOK_CONFIG) {
+  new WebhookNotifier(WEBHOOK_CONFIG).attach(vadEvents);
+}
+
+// Apply the recording retention to the sessions left by previous runs (then after each recorded session)
+if (RECORDING_CONFIG) {
+  pruneRecordings(RECORDING_CONFIG.directory, RECORDING_CONFIG.retention)
+    .catch((err) => logger.error('Recording retention failed', { error: err }));
+}
+
+// WebSocket sessions share the HTTP server
+const wss = new WebSocketServer({ server, path: '/speech-to-text-ws', verifyClient: verifyWebSocketClient });
+wss.on('connection', handleWebSocket);
+// The session id (call id or generated) is returned in the upgrade response, as for HTTP
+wss.on('headers', (headers, req) => {
+  headers.push(`X-Call-Id: ${req.sessionParams.sessionId}`);
 });
@@ -0,0 +1,103 @@
+// Leveled JSON logger: one JSON object per line ({ time, level, msg, ...fields }), so the
+// output of concurrent calls can be filtered and correlated (e.g. by sessionId).
+// Lines below LOG_LEVEL (debug, info, warn, error; default info) are dropped.
+// warn and error go to stderr, the other levels to stdout, unless an output stream is configured
+// (the command-line tools send every line to stderr, stdout carries their result).
+
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Errors are logged as { name, message, code }, as JSON.stringify drops their properties
+const serializeField = (value) => (value instanceof Error
+  ? { name: value.name, message: value.message, ...(value.code !== undefined ? { code: value.code } : {}) }
+  : value);
+
+const validateLevel = (level) => {
+  if (!LOG_LEVELS[level]) {
+    throw new Error(`Invalid log level: ${level} (expected one of: ${Object.keys(LOG_LEVELS).join(', ')})`);
+  }
+};
+
+class Logger {
+  /**
+   * @param {object} [fields] Added to every line (e.g. sessionId, component)
+   * @param {{ level: string, output: import('stream').Writable|null }} [settings] Shared with the
+   *   children, so configure() also applies to the loggers already derived
+   */
+  constructor(fields = {}, settings = { level: 'info', output: null }) {
+    validateLevel(settings.level);
+    this.fields = fields;
+    this.settings = settings;
+  }
+
+  get level() {
+    return this.settings.level;
+  }
+
+  /**
+   * Changes the minimum level and/or the output stream (null: stdout and stderr by level)
+   * of this logger and all its children.
+   * @param {{ level?: string, output?: import('stream').Writable|null }} settings
+   */
+  configure({ level = this.settings.level, output = this.settings.output }) {
+    validateLevel(level);
+    this.settings.level = level;
+    this.settings.output = output;
+  }
+
+  // Logger adding fields to those of this one
+  child(fields) {
+    return new Logger({ ...this.fields, ...fields }, this.settings);
+  }
+
+  isLevelEnabled(level) {
+    return LOG_LEVELS[level] >= LOG_LEVELS[this.settings.level];
+  }
+
+  debug(msg, fields) {
+    this._write('debug', msg, fields);
+  }
+
+  info(msg, fields) {
+    this._write('info', msg, fields);
+  }
+
+  warn(msg, fields) {
+    this._write('warn', msg, fields);
+  }
+
+  error(msg, fields) {
+    this._write('error', msg, fields);
+  }
+
+  _write(level, msg, fields = {}) {
+    if (!this.isLevelEnabled(level)) {
+      return;
+    }
+    const entry = { time: new Date().toISOString(), level, msg, ...this.fields };
+    for (const [name, value] of Object.entries(fields)) {
+      entry[name] = serializeField(value);
+    }
+    const line = JSON.stringify(entry);
+    if (this.settings.output) {
+      this.settings.output.write(`${line}\n`);
+    } else if (LOG_LEVELS[level] >= LOG_LEVELS.warn) {
+      console.error(line);
+    } else {
+      console.log(line);
+    }
+  }
+}
+
+// Root logger of the service, components derive children from it
+const logger = new Logger();
+try {
+  logger.configure({ level: process.env.LOG_LEVEL || 'info' });
+} catch (err) {
+  logger.warn(`${err.message}, using info`);
+}
+
+module.exports = {
+  Logger,
+  LOG_LEVELS,
+  logger,
+};
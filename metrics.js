@@ -0,0 +1,99 @@
+// Prometheus metrics exposed on /metrics
+const client = require('prom-client');
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register });
+
+// --- Streams and VAD ---
+const activeStreams = new client.Gauge({
+  name: 'vad_active_streams',
+  help: 'Number of audio streams currently being processed',
+  labelNames: ['transport'],
+  registers: [register],
+});
+
+const framesProcessed = new client.Counter({
+  name: 'vad_frames_processed_total',
+  help: 'Number of audio frames scored by the VAD model',
+  registers: [register],
+});
+
+const inferenceDuration = new client.Histogram({
+  name: 'vad_inference_duration_seconds',
+  help: 'Duration of one VAD model inference (one frame), excluding the wait for a free session',
+  buckets: [0.0001, 0.00025, 0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1],
+  registers: [register],
+});
+
+const inferenceQueueWait = new client.Histogram({
+  name: 'vad_inference_queue_wait_seconds',
+  help: 'Time an inference waited for a free session of the pool (VAD_SESSION_POOL_SIZE)',
+  buckets: [0.0001, 0.00025, 0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5],
+  registers: [register],
+});
+
+const segments = new client.Counter({
+  name: 'vad_segments_total',
+  help: 'Speech segments by outcome: detected, forwarded (sent to STT), discarded_too_short, discarded_empty, discarded_reset',
+  labelNames: ['outcome'],
+  registers: [register],
+});
+
+// --- STT ---
+const sttRequestDuration = new client.Histogram({
+  name: 'stt_request_duration_seconds',
+  help: 'Duration of STT request attempts',
+  labelNames: ['provider'],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2, 5, 10, 30],
+  registers: [register],
+});
+
+const sttRequests = new client.Counter({
+  name: 'stt_requests_total',
+  help: 'STT request attempts by HTTP status (or error code when no response was received)',
+  labelNames: ['provider', 'status'],
+  registers: [register],
+});
+
+const sttErrors = new client.Counter({
+  name: 'stt_errors_total',
+  help: 'Failed STT request attempts by HTTP status (or error code when no response was received)',
+  labelNames: ['provider', 'status'],
+  registers: [register],
+});
+
+// --- Webhooks ---
+const webhookDeliveries = new client.Counter({
+  name: 'vad_webhook_deliveries_total',
+  help: 'Webhook deliveries by event type and outcome: delivered, failed, dropped',
+  labelNames: ['event', 'outcome'],
+  registers: [register],
+});
+
+// --- Bytes ---
+const bytesIn = new client.Counter({
+  name: 'vad_audio_bytes_in_total',
+  help: 'Audio bytes received from clients',
+  registers: [register],
+});
+
+const bytesOut = new client.Counter({
+  name: 'stt_audio_bytes_out_total',
+  help: 'Audio bytes forwarded to the STT service',
+  registers: [register],
+});
+
+module.exports = {
+  register,
+  activeStreams,
+  framesProcessed,
+  inferenceDuration,
+  inferenceQueueWait,
+  segments,
+  sttRequestDuration,
+  sttRequests,
+  sttErrors,
+  webhookDeliveries,
+  bytesIn,
+  bytesOut,
+};
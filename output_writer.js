@@ -0,0 +1,135 @@
+// Writes VAD/STT events back to the client of /speech-to-text-stream.
+// Supported output modes:
+//  - text:   one bare transcription per line (legacy behaviour, default)
+//  - ndjson: one JSON event per line
+//  - sse:    Server-Sent Events, the event type is used as the SSE event name
+
+const { STT_ERROR_CODES } = require('./stt_client');
+
+const OUTPUT_CONTENT_TYPES = {
+  text: 'text/plain; charset=utf-8',
+  ndjson: 'application/x-ndjson; charset=utf-8',
+  sse: 'text/event-stream; charset=utf-8',
+};
+
+// Accept header media types mapped to output modes
+const ACCEPT_MODES = {
+  'application/x-ndjson': 'ndjson',
+  'application/ndjson': 'ndjson',
+  'application/jsonl': 'ndjson',
+  'text/event-stream': 'sse',
+  'text/plain': 'text',
+};
+
+// Error codes carried by 'error' events
+const ERROR_CODES = {
+  VAD_INIT_FAILED: 'vad_init_failed',
+  VAD_PROCESSING_FAILED: 'vad_processing_failed',
+  STT_REQUEST_FAILED: STT_ERROR_CODES.REQUEST_FAILED,
+  STT_TIMEOUT: STT_ERROR_CODES.TIMEOUT,
+  STT_UNAVAILABLE: STT_ERROR_CODES.UNAVAILABLE,
+  STREAM_ERROR: 'stream_error',
+  INVALID_CONTROL_MESSAGE: 'invalid_control_message',
+  INVALID_AUDIO: 'invalid_audio',
+};
+
+// Legacy inline messages written in text mode, kept for existing clients
+const TEXT_ERROR_MESSAGES = {
+  [ERROR_CODES.VAD_INIT_FAILED]: (message) => `VAD Initialization Error: ${message}`,
+  [ERROR_CODES.VAD_PROCESSING_FAILED]: (message) => `VAD Processing Error: ${message}`,
+  [ERROR_CODES.STT_REQUEST_FAILED]: () => '[VAD Service: Error during transcription process]',
+  [ERROR_CODES.STT_TIMEOUT]: () => '[VAD Service: Error during transcription process]',
+  [ERROR_CODES.STT_UNAVAILABLE]: () => '[VAD Service: Error during transcription process]',
+  [ERROR_CODES.STREAM_ERROR]: (message) => `Stream Error: ${message}`,
+  [ERROR_CODES.INVALID_AUDIO]: (message) => `Audio Format Error: ${message}`,
+};
+
+/**
+ * Picks the output mode for a request: the `format` query parameter wins,
+ * then the first recognised media type of the Accept header, then 'text'.
+ * Returns null when an unknown format is explicitly requested.
+ */
+const negotiateOutputMode = (req) => {
+  const format = req.query && req.query.format;
+  if (format) {
+    return Object.prototype.hasOwnProperty.call(OUTPUT_CONTENT_TYPES, format) ? format : null;
+  }
+
+  const accept = req.headers.accept || '';
+  for (const part of accept.split(',')) {
+    const mediaType = part.split(';')[0].trim().toLowerCase();
+    if (ACCEPT_MODES[mediaType]) {
+      return ACCEPT_MODES[mediaType];
+    }
+  }
+  return 'text';
+};
+
+class EventWriter {
+  constructor(res, mode = 'text') {
+    this.res = res;
+    this.mode = mode;
+  }
+
+  // Sends the response headers for the selected mode
+  start() {
+    this.res.setHeader('Content-Type', OUTPUT_CONTENT_TYPES[this.mode]);
+    this.res.setHeader('Cache-Control', 'no-cache');
+    this.res.setHeader('Connection', 'keep-alive');
+    if (this.mode === 'sse') {
+      // Let EventSource clients see the stream open before the first event
+      this.res.flushHeaders();
+    }
+  }
+
+  /**
+   * Writes one event ({ type, ...fields }) if the response is still open.
+   * In text mode only final transcripts and errors are written.
+   */
+  write(event) {
+    if (this.res.writableEnded) {
+      return false;
+    }
+    const payload = { ...event, timestamp: event.timestamp || new Date().toISOString() };
+
+    switch (this.mode) {
+      case 'ndjson':
+        this.res.write(`${JSON.stringify(payload)}\n`);
+        return true;
+      case 'sse':
+        this.res.write(`event: ${payload.type}\ndata: ${JSON.stringify(payload)}\n\n`);
+        return true;
+      default: {
+        const line = this._toText(payload);
+        if (line === null) {
+          return false;
+        }
+        this.res.write(`${line}\n`); // Add newline as a delimiter
+        return true;
+      }
+    }
+  }
+
+  _toText(event) {
+    if (event.type === 'transcript') {
+      // Interim results would be indistinguishable from final lines in text mode
+      if (event.partial) {
+        return null;
+      }
+      // Per-channel sessions: prefix the line with the channel label
+      return event.channel !== undefined ? `[${event.channel}] ${event.text}` : event.text;
+    }
+    if (event.type === 'error') {
+      const format = TEXT_ERROR_MESSAGES[event.code];
+      return format ? format(event.message) : event.message;
+    }
+    return null;
+  }
+}
+
+module.exports = {
+  EventWriter,
+  negotiateOutputMode,
+  ERROR_CODES,
+  OUTPUT_CONTENT_TYPES,
+};
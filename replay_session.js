@@ -0,0 +1,140 @@
+#!/usr/bin/env node
+// Replays a recorded session (see segment_recorder.js) to reproduce a problem, and prints the
+// recorded and replayed segments side by side as JSON.
+//
+// Usage: node replay_session.js <session directory | manifest.json> [--segments] [--vad-only] [--output <file>]
+//   default     The recorded client audio runs through the whole pipeline again, with the
+//               recorded request parameters and VAD options (STT endpoints from the environment)
+//   --segments  Only the recorded segment WAV files are sent to STT again
+//   --vad-only  Pipeline replay without STT, to check the segmentation
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+
+const { logger } = require('./logger');
+
+// Logs go to stderr, stdout only carries the result; only warnings by default
+logger.configure({ output: process.stderr, level: process.env.LOG_LEVEL ? logger.level : 'warn' });
+
+const { getSessionOptions, getSttProvider } = require('./service_config');
+const { transcribeRecording } = require('./batch_transcriber');
+const { MANIFEST_FILE } = require('./segment_recorder');
+const { createSttAdapter } = require('./stt_adapters');
+const { WAV_HEADER_SIZE } = require('./wav');
+
+const USAGE = 'Usage: node replay_session.js <session directory | manifest.json> [--segments] [--vad-only] [--output <file>]';
+
+const parseArgs = (argv) => {
+  const args = { target: null, segments: false, vadOnly: false, output: null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--segments') {
+      args.segments = true;
+    } else if (arg === '--vad-only') {
+      args.vadOnly = true;
+    } else if (arg === '--output' || arg === '-o') {
+      args.output = argv[++i];
+    } else if (arg === '--help') {
+      args.help = true;
+    } else if (!arg.startsWith('-') && !args.target) {
+      args.target = arg;
+    } else {
+      throw new Error(`Unexpected argument: ${arg}`);
+    }
+  }
+  return args;
+};
+
+// The transcript recorded for a segment: null when it was not transcribed or STT failed
+const recordedText = ({ stt }) => {
+  if (stt.status === 'ok' || stt.status === 'empty') {
+    return stt.text || '';
+  }
+  return null;
+};
+
+// The recorded client audio through the whole pipeline
+const replayPipeline = async (directory, manifest, vadOnly) => {
+  const sessionOptions = getSessionOptions(manifest.request, 'batch');
+  const { segments } = await transcribeRecording(fs.createReadStream(path.join(directory, manifest.inputFile)), {
+    ...sessionOptions,
+    vadOptions: { ...sessionOptions.vadOptions, ...manifest.vadOptions },
+    minSpeechDurationMs: manifest.minSpeechDurationMs,
+    vadOnly,
+    recording: null // Do not record the replay
+  });
+  return segments;
+};
+
+// The recorded segments sent to STT again
+const replaySegments = async (directory, manifest) => {
+  const { adapterOptions, client } = getSttProvider(manifest.request.sttProvider);
+  const adapter = createSttAdapter(manifest.request.sttProvider, adapterOptions);
+  const segments = [];
+  for (const segment of manifest.segments.filter((entry) => entry.file && entry.stt.status !== 'vad_only' && entry.stt.status !== 'too_short')) {
+    const audio = fs.readFileSync(path.join(directory, segment.file)).subarray(WAV_HEADER_SIZE);
+    const replayed = { segmentId: segment.segmentId, ...(segment.channel !== undefined ? { channel: segment.channel } : {}) };
+    try {
+      replayed.text = (await client.transcribe(adapter, audio, { sampleRate: segment.sampleRate })).text || '';
+    } catch (err) {
+      replayed.text = null;
+      replayed.error = { code: err.code, message: err.message };
+    }
+    segments.push(replayed);
+  }
+  return segments;
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help || !args.target) {
+    console.error(USAGE);
+    process.exit(args.help ? 0 : 1);
+  }
+  const manifestPath = fs.statSync(args.target).isDirectory() ? path.join(args.target, MANIFEST_FILE) : args.target;
+  const directory = path.dirname(manifestPath);
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  console.error(`Replaying session ${manifest.sessionId} (${manifest.transport}, ${manifest.startedAt}, ${manifest.segments.length} recorded segment(s))`);
+
+  const replayed = args.segments ? await replaySegments(directory, manifest) : await replayPipeline(directory, manifest, args.vadOnly);
+  // Same selection as the replay: pipeline replays leave out the segments too short to be transcribed
+  const recorded = manifest.segments
+    .filter((segment) => (args.segments ? segment.file && segment.stt.status !== 'vad_only' && segment.stt.status !== 'too_short' : segment.durationMs >= manifest.minSpeechDurationMs))
+    .map((segment) => ({
+      segmentId: segment.segmentId,
+      ...(segment.channel !== undefined ? { channel: segment.channel } : {}),
+      startMs: segment.startMs,
+      endMs: segment.endMs,
+      durationMs: segment.durationMs,
+      text: recordedText(segment),
+    }));
+
+  // Segments whose timing (pipeline replay) or transcript differ, or that exist on one side only
+  const replayedById = new Map(replayed.map((segment) => [segment.segmentId, segment]));
+  const segmentIds = new Set([...recorded.map((segment) => segment.segmentId), ...replayedById.keys()]);
+  const recordedById = new Map(recorded.map((segment) => [segment.segmentId, segment]));
+  const differences = Array.from(segmentIds).filter((segmentId) => {
+    const before = recordedById.get(segmentId);
+    const after = replayedById.get(segmentId);
+    if (!before || !after) {
+      return true;
+    }
+    if (!args.segments && (before.startMs !== after.startMs || before.endMs !== after.endMs)) {
+      return true;
+    }
+    return !args.vadOnly && before.text !== null && after.text !== null && before.text !== after.text;
+  }).sort((a, b) => a - b);
+
+  console.error(differences.length > 0 ? `Differences in segment(s): ${differences.join(', ')}` : 'No differences.');
+  const body = `${JSON.stringify({ sessionId: manifest.sessionId, mode: args.segments ? 'segments' : args.vadOnly ? 'vad_only' : 'pipeline', recorded, replayed, differences }, null, 2)}\n`;
+  if (args.output) {
+    fs.writeFileSync(args.output, body);
+  } else {
+    process.stdout.write(body);
+  }
+};
+
+main().catch((err) => {
+  console.error(`Error: ${err.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,129 @@
+// Streaming sample rate converter used between the client audio and the VAD frame pipeline.
+// Implements band-limited (windowed-sinc) interpolation with a polyphase filter bank, so
+// downsampling is anti-aliased and upsampling does not introduce imaging artifacts.
+
+// Input sample rates accepted by the VAD pipeline
+const SUPPORTED_INPUT_RATES = [8000, 16000, 24000, 32000, 44100, 48000];
+
+// Number of sinc zero crossings on each side of the kernel centre (quality vs CPU trade-off)
+const DEFAULT_ZERO_CROSSINGS = 16;
+// Cutoff as a fraction of the lower Nyquist frequency, leaves room for the transition band
+const DEFAULT_ROLLOFF = 0.95;
+
+const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+
+const sinc = (x) => {
+  if (x === 0) return 1;
+  const px = Math.PI * x;
+  return Math.sin(px) / px;
+};
+
+// Blackman window evaluated at x in [-1, 1]
+const blackman = (x) => {
+  if (x <= -1 || x >= 1) return 0;
+  return 0.42 + 0.5 * Math.cos(Math.PI * x) + 0.08 * Math.cos(2 * Math.PI * x);
+};
+
+class Resampler {
+  constructor(options = {}) {
+    const { fromRate, toRate } = options;
+    if (!Number.isInteger(fromRate) || fromRate <= 0 || !Number.isInteger(toRate) || toRate <= 0) {
+      throw new Error(`Invalid resampler rates: ${fromRate} -> ${toRate}`);
+    }
+
+    this.fromRate = fromRate;
+    this.toRate = toRate;
+
+    // Reduce the ratio to up/down integers: each output sample advances down/up input samples
+    const divisor = gcd(fromRate, toRate);
+    this.up = toRate / divisor;
+    this.down = fromRate / divisor;
+
+    // Cutoff in cycles per input sample: the lower of the two Nyquist frequencies
+    const rolloff = options.rolloff || DEFAULT_ROLLOFF;
+    this.cutoff = 0.5 * Math.min(1, toRate / fromRate) * rolloff;
+
+    // Kernel half width in input samples (wider when downsampling to keep the same sharpness)
+    const zeroCrossings = options.zeroCrossings || DEFAULT_ZERO_CROSSINGS;
+    this.halfWidth = Math.ceil(zeroCrossings / (2 * this.cutoff));
+
+    this.filters = this._buildFilters();
+    this.reset();
+  }
+
+  // One filter per fractional phase p/up, each normalized to unity DC gain
+  _buildFilters() {
+    const taps = 2 * this.halfWidth;
+    const filters = [];
+    for (let p = 0; p < this.up; p++) {
+      const frac = p / this.up;
+      const filter = new Float32Array(taps);
+      let sum = 0;
+      for (let k = 0; k < taps; k++) {
+        const t = (k - this.halfWidth + 1) - frac;
+        const value = 2 * this.cutoff * sinc(2 * this.cutoff * t) * blackman(t / this.halfWidth);
+        filter[k] = value;
+        sum += value;
+      }
+      for (let k = 0; k < taps; k++) {
+        filter[k] /= sum;
+      }
+      filters.push(filter);
+    }
+    return filters;
+  }
+
+  reset() {
+    // Zero history so the first real sample sits at the kernel centre
+    this.buffer = new Float32Array(this.halfWidth - 1);
+    this.base = this.halfWidth - 1; // Integer input position of the next output sample
+    this.phase = 0;                 // Fractional position of the next output sample, in 1/up units
+  }
+
+  /**
+   * Resamples a chunk of mono Float32 audio. Keeps enough history between calls for the
+   * output to be identical to resampling the whole signal at once.
+   * @param {Float32Array} input Samples at fromRate
+   * @returns {Float32Array} Samples at toRate
+   */
+  process(input) {
+    if (this.fromRate === this.toRate) {
+      return input;
+    }
+
+    const buffer = new Float32Array(this.buffer.length + input.length);
+    buffer.set(this.buffer, 0);
+    buffer.set(input, this.buffer.length);
+
+    // Upper bound of the samples that can be produced with the data currently buffered
+    const maxOutput = Math.ceil(((buffer.length - this.base) * this.up) / this.down) + 1;
+    const output = new Float32Array(Math.max(0, maxOutput));
+    let produced = 0;
+
+    while (this.base + this.halfWidth < buffer.length) {
+      const filter = this.filters[this.phase];
+      const start = this.base - this.halfWidth + 1;
+      let acc = 0;
+      for (let k = 0; k < filter.length; k++) {
+        acc += buffer[start + k] * filter[k];
+      }
+      output[produced++] = acc;
+
+      this.phase += this.down;
+      this.base += Math.floor(this.phase / this.up);
+      this.phase %= this.up;
+    }
+
+    // Drop history that no future output sample can reach
+    const keepFrom = Math.min(this.base - this.halfWidth + 1, buffer.length);
+    this.buffer = buffer.slice(keepFrom);
+    this.base -= keepFrom;
+
+    return output.subarray(0, produced);
+  }
+}
+
+module.exports = {
+  Resampler,
+  SUPPORTED_INPUT_RATES,
+};
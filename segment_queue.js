@@ -0,0 +1,112 @@
+/**
+ * Per-connection queue of speech segments waiting for transcription.
+ * Segments are numbered in the order they are pushed and processed with bounded
+ * concurrency, but their results are always delivered in push order: a fast
+ * response for a later utterance waits for the earlier ones.
+ */
+class SegmentQueue {
+  /**
+   * @param {object} options
+   * @param {number} [options.concurrency=1] Maximum number of tasks running at once
+   * @param {(result: any, seq: number) => void} options.onResult Called in order with each task result
+   */
+  constructor(options = {}) {
+    this.concurrency = Math.max(1, options.concurrency || 1);
+    this.onResult = options.onResult;
+
+    this.nextSeq = 0;      // Sequence number given to the next pushed task
+    this.nextDeliver = 0;  // Sequence number of the next result to deliver
+    this.waiting = [];     // Tasks not started yet: { seq, task }
+    this.running = new Map(); // seq -> AbortController of started tasks
+    this.results = new Map(); // seq -> result completed out of order, waiting for delivery
+    this.idleCallbacks = [];
+    this.closed = false;
+  }
+
+  // Number of segments pushed but not delivered yet
+  get pending() {
+    return this.nextSeq - this.nextDeliver;
+  }
+
+  /**
+   * Queues a task. The task receives an AbortSignal (aborted on close())
+   * and its resolved value is passed to onResult. A rejected task delivers null.
+   * @param {(signal: AbortSignal) => Promise<any>} task
+   * @returns {number} Sequence number of the segment
+   */
+  push(task) {
+    if (this.closed) {
+      throw new Error('SegmentQueue is closed');
+    }
+    const seq = this.nextSeq++;
+    this.waiting.push({ seq, task });
+    this._startNext();
+    return seq;
+  }
+
+  // Resolves once every pushed segment has been delivered
+  onIdle() {
+    if (this.pending === 0) {
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => this.idleCallbacks.push(resolve));
+  }
+
+  // Cancels running tasks and drops waiting ones; nothing is delivered afterwards
+  close() {
+    if (this.closed) {
+      return;
+    }
+    this.closed = true;
+    this.waiting = [];
+    for (const controller of this.running.values()) {
+      controller.abort();
+    }
+    this.running.clear();
+    this.results.clear();
+    this._resolveIdle();
+  }
+
+  _startNext() {
+    while (!this.closed && this.running.size < this.concurrency && this.waiting.length > 0) {
+      const { seq, task } = this.waiting.shift();
+      const controller = new AbortController();
+      this.running.set(seq, controller);
+
+      Promise.resolve()
+        .then(() => task(controller.signal))
+        .catch(() => null)
+        .then((result) => this._complete(seq, result));
+    }
+  }
+
+  _complete(seq, result) {
+    if (this.closed) {
+      return;
+    }
+    this.running.delete(seq);
+    this.results.set(seq, result);
+
+    // Deliver every consecutive result available from the head of the queue
+    while (this.results.has(this.nextDeliver)) {
+      const deliverSeq = this.nextDeliver;
+      const deliverResult = this.results.get(deliverSeq);
+      this.results.delete(deliverSeq);
+      this.nextDeliver++;
+      this.onResult(deliverResult, deliverSeq);
+    }
+
+    if (this.pending === 0) {
+      this._resolveIdle();
+    }
+    this._startNext();
+  }
+
+  _resolveIdle() {
+    const callbacks = this.idleCallbacks;
+    this.idleCallbacks = [];
+    callbacks.forEach((resolve) => resolve());
+  }
+}
+
+module.exports = SegmentQueue;
@@ -0,0 +1,253 @@
+// Opt-in session recording (RECORDING_DIR): the client audio as received, every segment
+// forwarded to STT as a WAV file (at the forwarded sample rate) and a JSON manifest with the
+// session parameters, the segment timings and the STT outcome, so a wrong transcription can be
+// listened to and the session replayed through the pipeline (see replay_session.js).
+// Recording is best effort: a failure is logged and disables the recorder, never the session.
+//
+// Layout: <RECORDING_DIR>/<YYYYMMDDTHHMMSSZ>_<session id>/
+//   manifest.json, input.<encoding>, segment-0001[-<channel>].wav, ...
+const fs = require('fs');
+const path = require('path');
+const { encodeWav } = require('./wav');
+const { logger } = require('./logger');
+
+const MANIFEST_FILE = 'manifest.json';
+const MANIFEST_VERSION = 1;
+const PRUNE_INTERVAL_MS = 60000; // Retention is enforced at most this often, when a session ends
+// Name of the session directories (see Layout), the only ones retention may delete
+const SESSION_DIRECTORY_PATTERN = /^\d{8}T\d{6}Z_[A-Za-z0-9._-]+$/;
+
+const activeDirectories = new Set(); // Sessions being recorded, never pruned
+let lastPrune = 0;
+
+// File name safe version of a session id or channel label
+const safeName = (value) => String(value).replace(/[^A-Za-z0-9._-]/g, '_').slice(0, 100);
+
+class SegmentRecorder {
+  /**
+   * @param {object} options
+   * @param {string} options.directory Root recording directory
+   * @param {string} options.sessionId
+   * @param {string} options.transport
+   * @param {{ sttProvider: string, vadParams: object, inputFormat: object }} options.params
+   *   Resolved request parameters, replayed as is
+   * @param {object} options.vadOptions Effective VAD stream options
+   * @param {number} options.minSpeechDurationMs
+   * @param {{ maxAgeMs?: number, maxSessions?: number, maxBytes?: number }} [options.retention]
+   * @param {import('./logger').Logger} [options.logger] Session logger
+   */
+  constructor({ directory, sessionId, transport, params, vadOptions, minSpeechDurationMs, retention = {}, logger: sessionLogger = logger }) {
+    const startedAt = new Date();
+    this.logger = sessionLogger.child({ component: 'segment_recorder' });
+    this.root = directory;
+    this.retention = retention;
+    this.directory = path.join(directory, `${startedAt.toISOString().replace(/[-:]|\.\d+/g, '')}_${safeName(sessionId)}`);
+    this.enabled = true;
+    this.closed = false;
+    this.input = null; // Raw client audio, opened on the first chunk
+    this.pendingWrites = new Set();
+    this.saving = Promise.resolve(); // Manifest writes, serialized
+
+    const { modelPath, ...recordedVadOptions } = vadOptions;
+    this.manifest = {
+      version: MANIFEST_VERSION,
+      sessionId,
+      transport,
+      status: 'active',
+      startedAt: startedAt.toISOString(),
+      endedAt: null,
+      request: params,
+      vadOptions: recordedVadOptions,
+      minSpeechDurationMs,
+      inputFile: `input.${safeName(params.inputFormat.encoding)}`,
+      inputBytes: 0,
+      segments: [],
+    };
+
+    try {
+      fs.mkdirSync(this.directory, { recursive: true });
+    } catch (err) {
+      this._disable(err);
+      return;
+    }
+    activeDirectories.add(this.directory);
+    this.logger.info('Recording session', { directory: this.directory });
+  }
+
+  // Client audio, as received (before decoding)
+  recordInput(chunk) {
+    if (!this.enabled || this.closed || chunk.length === 0) {
+      return;
+    }
+    if (!this.input) {
+      this.input = fs.createWriteStream(path.join(this.directory, this.manifest.inputFile));
+      this.input.on('error', (err) => this._disable(err));
+    }
+    this.manifest.inputBytes += chunk.length;
+    this.input.write(chunk);
+  }
+
+  /**
+   * Records an ended segment and its audio (padding included, as sent to STT).
+   * @param {{ segmentId: number, channel?: string, startMs: number, endMs: number, durationMs: number,
+   *   confidence: number, reason: string, audio: Buffer, sampleRate: number, sttStatus: string }} segment
+   *   sttStatus: 'pending' (updated by recordTranscript), 'too_short', 'vad_only' or 'no_audio'
+   */
+  recordSegment({ segmentId, channel, startMs, endMs, durationMs, confidence, reason, audio, sampleRate, sttStatus }) {
+    if (!this.enabled || this.closed) {
+      return;
+    }
+    const entry = {
+      segmentId,
+      ...(channel !== undefined ? { channel } : {}),
+      startMs,
+      endMs,
+      durationMs,
+      confidence,
+      reason,
+      file: null,
+      sampleRate,
+      stt: { status: sttStatus },
+    };
+    this.manifest.segments.push(entry);
+
+    if (audio && audio.length > 0) {
+      entry.file = `segment-${String(segmentId).padStart(4, '0')}${channel !== undefined ? `-${safeName(channel)}` : ''}.wav`;
+      this._track(fs.promises.writeFile(path.join(this.directory, entry.file), encodeWav(audio, { sampleRate })));
+    }
+  }
+
+  /**
+   * Records the STT outcome of a segment.
+   * @param {number} segmentId
+   * @param {{ status: 'ok'|'empty'|'error'|'cancelled', text?: string, sttLatencyMs?: number, code?: string, message?: string }} result
+   */
+  recordTranscript(segmentId, result) {
+    const entry = this.manifest.segments.find((segment) => segment.segmentId === segmentId);
+    if (!this.enabled || !entry) {
+      return;
+    }
+    entry.stt = result;
+    // Saved as results arrive, so the manifest is useful even if the process dies mid-session
+    this._saveManifest();
+  }
+
+  /**
+   * Writes the final manifest and closes the input recording. Idempotent.
+   * @param {'completed'|'closed'|'failed'} status
+   */
+  close(status) {
+    if (this.closed) {
+      return;
+    }
+    this.closed = true;
+    this.manifest.status = status;
+    this.manifest.endedAt = new Date().toISOString();
+    if (!this.enabled) {
+      return;
+    }
+    if (this.input) {
+      this._track(new Promise((resolve) => this.input.end(resolve)));
+    }
+    Promise.all(this.pendingWrites).then(() => this._saveManifest()).then(() => {
+      activeDirectories.delete(this.directory);
+      this.logger.info('Session recording saved', { manifest: path.join(this.directory, MANIFEST_FILE), segments: this.manifest.segments.length });
+      if (Date.now() - lastPrune >= PRUNE_INTERVAL_MS) {
+        lastPrune = Date.now();
+        return pruneRecordings(this.root, this.retention);
+      }
+    }).catch((err) => this.logger.error('Recording retention failed', { error: err }));
+  }
+
+  _track(promise) {
+    const tracked = promise.catch((err) => this._disable(err)).finally(() => this.pendingWrites.delete(tracked));
+    this.pendingWrites.add(tracked);
+  }
+
+  _saveManifest() {
+    this.saving = this.saving
+      .then(() => fs.promises.writeFile(path.join(this.directory, MANIFEST_FILE), `${JSON.stringify(this.manifest, null, 2)}\n`))
+      .catch((err) => this._disable(err));
+    return this.saving;
+  }
+
+  _disable(err) {
+    if (!this.enabled) {
+      return;
+    }
+    this.enabled = false;
+    activeDirectories.delete(this.directory);
+    this.logger.error('Recording disabled for this session', { directory: this.directory, error: err });
+  }
+}
+
+const directorySize = async (directory) => {
+  const entries = await fs.promises.readdir(directory, { withFileTypes: true });
+  const sizes = await Promise.all(entries.map(async (entry) => {
+    const entryPath = path.join(directory, entry.name);
+    return entry.isDirectory() ? directorySize(entryPath) : (await fs.promises.stat(entryPath)).size;
+  }));
+  return sizes.reduce((total, size) => total + size, 0);
+};
+
+// A session directory created by the recorder (named as such and holding a manifest), or null
+const recordedSession = async (directory, entry, withSize) => {
+  if (!entry.isDirectory() || !SESSION_DIRECTORY_PATTERN.test(entry.name)) {
+    return null;
+  }
+  const sessionPath = path.join(directory, entry.name);
+  const hasManifest = await fs.promises.access(path.join(sessionPath, MANIFEST_FILE)).then(() => true, () => false);
+  if (!hasManifest) {
+    return null;
+  }
+  const { mtimeMs } = await fs.promises.stat(sessionPath);
+  return { path: sessionPath, mtimeMs, size: withSize ? await directorySize(sessionPath) : 0 };
+};
+
+/**
+ * Deletes the oldest session recordings beyond the retention limits (0 or unset: no limit).
+ * Sessions still being recorded are kept, and so is anything else in the directory
+ * (only <YYYYMMDDTHHMMSSZ>_<session id> directories holding a manifest are recordings).
+ * @param {string} directory Root recording directory
+ * @param {{ maxAgeMs?: number, maxSessions?: number, maxBytes?: number }} retention
+ * @returns {Promise<number>} Number of sessions deleted
+ */
+const pruneRecordings = async (directory, { maxAgeMs = 0, maxSessions = 0, maxBytes = 0 } = {}) => {
+  if (!maxAgeMs && !maxSessions && !maxBytes) {
+    return 0;
+  }
+  const entries = await fs.promises.readdir(directory, { withFileTypes: true }).catch((err) => {
+    if (err.code === 'ENOENT') {
+      return [];
+    }
+    throw err;
+  });
+  const sessions = (await Promise.all(entries
+    .filter((entry) => !activeDirectories.has(path.join(directory, entry.name)))
+    .map((entry) => recordedSession(directory, entry, Boolean(maxBytes)))))
+    .filter(Boolean);
+  sessions.sort((a, b) => b.mtimeMs - a.mtimeMs); // Newest first
+
+  const now = Date.now();
+  let keptBytes = 0;
+  const expired = sessions.filter((session, index) => {
+    const expire = (maxAgeMs && now - session.mtimeMs > maxAgeMs)
+      || (maxSessions && index >= maxSessions)
+      || (maxBytes && keptBytes + session.size > maxBytes);
+    if (!expire) {
+      keptBytes += session.size;
+    }
+    return expire;
+  });
+  await Promise.all(expired.map((session) => fs.promises.rm(session.path, { recursive: true, force: true })));
+  if (expired.length > 0) {
+    logger.info('Recording retention: sessions deleted', { directory, deleted: expired.length });
+  }
+  return expired.length;
+};
+
+module.exports = {
+  SegmentRecorder,
+  pruneRecordings,
+  MANIFEST_FILE,
+};
@@ -0,0 +1,262 @@
+// Service configuration shared by the HTTP/WebSocket server (index.js) and the batch CLI
+// (transcribe_file.js): environment settings, the shared STT client and the per-request
+// session options. Invalid settings are fatal.
+const fs = require("fs");
+const path = require("path");
+const { randomUUID } = require('crypto');
+const { createSttAdapter, STT_ADAPTERS } = require('./stt_adapters');
+const { SttClient } = require('./stt_client');
+const { loadVadConfig, resolveVadParams } = require('./vad_params');
+const { resolveInputFormat, describeInputFormat } = require('./audio_decoder');
+const { logger } = require('./logger');
+const { PUBLISHED_EVENT_TYPES } = require('./vad_events');
+
+// --- Configuration ---
+// Use environment variables with defaults
+const splitList = (value) => value.split(',').map((item) => item.trim()).filter(Boolean);
+const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+// Integer setting, fatal when not an integer of at least min
+const integerSetting = (name, defaultValue, min = 0) => {
+  const value = Number(process.env[name] || defaultValue);
+  if (!Number.isInteger(value) || value < min) {
+    logger.error(`FATAL: Invalid ${name}, expected an integer >= ${min}`, { value: process.env[name] });
+    process.exit(1);
+  }
+  return value;
+};
+
+// STT protocol adapter (raw, whisper, json), can be overridden per request (see stt_adapters.js)
+const STT_PROVIDER = process.env.STT_PROVIDER || 'raw';
+if (!hasOwn(STT_ADAPTERS, STT_PROVIDER)) {
+    logger.error('FATAL: Invalid STT_PROVIDER', { value: STT_PROVIDER, supported: Object.keys(STT_ADAPTERS) });
+    process.exit(1);
+}
+
+// Setting of one provider: STT_<PROVIDER>_<NAME> (e.g. STT_WHISPER_URL), falling back to
+// STT_<NAME> for the default provider only
+const sttProviderSetting = (provider, name) => process.env[`STT_${provider.toUpperCase()}_${name}`]
+  ?? (provider === STT_PROVIDER ? process.env[`STT_${name}`] : undefined);
+
+// IMPORTANT: Ensure the path '/transcribe' is correct for your STT service or update STT_URL in your .env file
+// Several endpoints can be given as a comma-separated list (see STT_LB_STRATEGY)
+const DEFAULT_STT_URL = 'http://localhost:6021/transcribe';
+
+// Audio configuration (Input from client), defaults of the per-request format (see audio_decoder.js)
+const INPUT_AUDIO_CONFIG = {
+  encoding: process.env.INPUT_ENCODING || 's16le', // s16le, f32le, ulaw, alaw or wav
+  sampleRate: parseInt(process.env.INPUT_SAMPLE_RATE || '8000', 10), // Resampled to the VAD rate (16kHz) internally
+  channels: parseInt(process.env.INPUT_CHANNELS || '1', 10),
+  channelMode: process.env.INPUT_CHANNEL_MODE || 'mix', // mix, separate, left, right or a channel index
+  channelLabels: process.env.INPUT_CHANNEL_LABELS ? process.env.INPUT_CHANNEL_LABELS.split(',').map((label) => label.trim()) : [],
+};
+try {
+    // Checked once at startup: a request without format parameters gets exactly these defaults
+    resolveInputFormat({ url: '/', headers: {} }, INPUT_AUDIO_CONFIG);
+} catch (err) {
+    logger.error('FATAL: Invalid input audio configuration', { error: err.message });
+    process.exit(1);
+}
+
+// VAD defaults (from env), admin bounds and named profiles for per-request overrides (see vad_params.js)
+let VAD_CONFIG;
+try {
+    VAD_CONFIG = loadVadConfig(process.env.VAD_CONFIG_FILE);
+} catch (err) {
+    logger.error('FATAL: Invalid VAD configuration', { configFile: process.env.VAD_CONFIG_FILE, error: err.message });
+    process.exit(1);
+}
+
+// Audio forwarded to STT: 'resampled' (VAD rate) or 'original' (client rate), see silero_stream.js
+const VAD_FORWARD_AUDIO = process.env.VAD_FORWARD_AUDIO || 'resampled';
+if (!['resampled', 'original'].includes(VAD_FORWARD_AUDIO)) {
+    logger.error('FATAL: Invalid VAD_FORWARD_AUDIO, expected resampled or original', { value: VAD_FORWARD_AUDIO });
+    process.exit(1);
+}
+
+// Transport settings, common to the providers
+const STT_CLIENT_OPTIONS = {
+  strategy: process.env.STT_LB_STRATEGY || 'failover', // 'failover' or 'round_robin'
+  timeoutMs: integerSetting('STT_TIMEOUT_MS', 10000),
+  retries: integerSetting('STT_RETRIES', 2),
+  retryBaseDelayMs: integerSetting('STT_RETRY_BASE_DELAY_MS', 200),
+  retryMaxDelayMs: integerSetting('STT_RETRY_MAX_DELAY_MS', 5000),
+  breakerFailureThreshold: integerSetting('STT_BREAKER_FAILURE_THRESHOLD', 5, 1),
+  breakerResetMs: integerSetting('STT_BREAKER_RESET_MS', 30000),
+};
+if (!['failover', 'round_robin'].includes(STT_CLIENT_OPTIONS.strategy)) {
+    logger.error('FATAL: Invalid STT_LB_STRATEGY, expected failover or round_robin', { value: STT_CLIENT_OPTIONS.strategy });
+    process.exit(1);
+}
+// Per session: segments transcribed in parallel per connection, interim transcript period (0 disables them)
+const STT_MAX_CONCURRENCY = integerSetting('STT_MAX_CONCURRENCY', 2, 1);
+const STT_INTERIM_INTERVAL_MS = integerSetting('STT_INTERIM_INTERVAL_MS', 0);
+
+// Providers with endpoints, by name: their URLs, adapter options and client. The client is
+// shared by all connections so circuit breakers see every failure of an endpoint.
+const STT_PROVIDERS = {};
+Object.keys(STT_ADAPTERS).forEach((provider) => {
+  const urls = splitList(sttProviderSetting(provider, 'URL') || (provider === STT_PROVIDER ? DEFAULT_STT_URL : ''));
+  if (urls.length === 0) {
+    return; // Not configured, cannot be requested
+  }
+  STT_PROVIDERS[provider] = {
+    urls,
+    adapterOptions: {
+      responseField: sttProviderSetting(provider, 'RESPONSE_FIELD'), // Adapter default when unset
+      model: sttProviderSetting(provider, 'MODEL'),
+      language: sttProviderSetting(provider, 'LANGUAGE'),
+      apiKey: sttProviderSetting(provider, 'API_KEY'),
+    },
+    client: new SttClient({ ...STT_CLIENT_OPTIONS, urls }),
+  };
+});
+
+// A configured provider (see STT_PROVIDERS), throws for the others
+const getSttProvider = (provider) => {
+  if (!hasOwn(STT_ADAPTERS, provider)) {
+    throw new Error(`Unknown STT provider: ${provider} (available: ${Object.keys(STT_ADAPTERS).join(', ')})`);
+  }
+  if (!hasOwn(STT_PROVIDERS, provider)) {
+    throw new Error(`STT provider not configured: ${provider} (configured: ${Object.keys(STT_PROVIDERS).join(', ')})`);
+  }
+  return STT_PROVIDERS[provider];
+};
+
+// Session recording (see segment_recorder.js), disabled unless RECORDING_DIR is set
+const RECORDING_CONFIG = process.env.RECORDING_DIR ? {
+  directory: path.resolve(process.env.RECORDING_DIR),
+  retention: {
+    maxAgeMs: parseFloat(process.env.RECORDING_MAX_AGE_HOURS || '168') * 3600000, // 0 = no limit
+    maxSessions: parseInt(process.env.RECORDING_MAX_SESSIONS || '0', 10),
+    maxBytes: parseFloat(process.env.RECORDING_MAX_SIZE_MB || '1024') * 1024 * 1024,
+  },
+} : null;
+
+// Webhooks (see webhook_notifier.js), disabled unless WEBHOOK_URLS is set
+const WEBHOOK_CONFIG = process.env.WEBHOOK_URLS ? {
+  urls: splitList(process.env.WEBHOOK_URLS),
+  events: splitList(process.env.WEBHOOK_EVENTS || PUBLISHED_EVENT_TYPES.join(',')),
+  transports: splitList(process.env.WEBHOOK_TRANSPORTS || 'http,websocket'), // Live calls only by default
+  timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS || '2000', 10),
+  maxInFlight: parseInt(process.env.WEBHOOK_MAX_IN_FLIGHT || '100', 10),
+} : null;
+const unknownWebhookEvents = WEBHOOK_CONFIG ? WEBHOOK_CONFIG.events.filter((type) => !PUBLISHED_EVENT_TYPES.includes(type)) : [];
+if (unknownWebhookEvents.length > 0) {
+    logger.error('FATAL: Invalid WEBHOOK_EVENTS', { unknown: unknownWebhookEvents, supported: PUBLISHED_EVENT_TYPES });
+    process.exit(1);
+}
+
+// Path to the ONNX model (defaults to the one next to this file)
+const MODEL_PATH = process.env.MODEL_PATH || path.join(__dirname, 'silero_vad.onnx');
+if (!fs.existsSync(MODEL_PATH)) {
+    logger.error('FATAL: ONNX model not found, ensure silero_vad.onnx is next to index.js or set MODEL_PATH', { modelPath: MODEL_PATH });
+    process.exit(1);
+}
+
+// ONNX inference sessions shared by all streams (see vad_model.js)
+const VAD_SESSION_POOL_SIZE = Number(process.env.VAD_SESSION_POOL_SIZE || '1');
+if (!Number.isInteger(VAD_SESSION_POOL_SIZE) || VAD_SESSION_POOL_SIZE < 1) {
+    logger.error('FATAL: Invalid VAD_SESSION_POOL_SIZE, expected a positive integer', { value: process.env.VAD_SESSION_POOL_SIZE });
+    process.exit(1);
+}
+
+// STT provider requested by the client (X-STT-Provider header or ?stt= query parameter), or the default
+const resolveSttProvider = (req) => {
+  const query = new URL(req.url, 'http://localhost').searchParams;
+  const provider = req.headers['x-stt-provider'] || query.get('stt') || STT_PROVIDER;
+  getSttProvider(provider);
+  return provider;
+};
+
+// Session id: the call id given by AVR core (X-Call-Id or X-UUID header, ?call_id= for clients
+// that cannot set headers), or a generated one. It is sent back in events and forwarded to STT.
+const SESSION_ID_PATTERN = /^[\x21-\x7e]{1,128}$/; // Printable ASCII, safe to forward as a header
+const resolveSessionId = (req) => {
+  const query = new URL(req.url, 'http://localhost').searchParams;
+  const callId = query.get('call_id') || req.headers['x-call-id'] || req.headers['x-uuid'];
+  if (!callId) {
+    return randomUUID();
+  }
+  if (!SESSION_ID_PATTERN.test(callId)) {
+    throw new Error('Invalid call id: expected 1 to 128 printable ASCII characters without spaces');
+  }
+  return callId;
+};
+
+// Per-request choices, validated before the stream starts (errors are reported with a 400)
+const resolveRequestParams = (req) => ({
+  sessionId: resolveSessionId(req),
+  sttProvider: resolveSttProvider(req),
+  vadParams: resolveVadParams(req, VAD_CONFIG),
+  inputFormat: resolveInputFormat(req, INPUT_AUDIO_CONFIG),
+});
+
+// Build the VAD session options from the request parameters and environment variables
+const getSessionOptions = ({ sessionId, sttProvider, vadParams, inputFormat }, transport) => {
+  const maxSpeechCutWindowMs = parseInt(process.env.VAD_MAX_SPEECH_CUT_WINDOW_MS || '1000', 10);
+  const stt = getSttProvider(sttProvider);
+
+  return {
+    sessionId: sessionId,
+    transport: transport,
+    sttAdapter: createSttAdapter(sttProvider, stt.adapterOptions),
+    sttClient: stt.client,
+    minSpeechDurationMs: vadParams.minSpeechDurationMs,
+    thresholdBounds: VAD_CONFIG.bounds.threshold, // Also applies to set_threshold control messages
+    sttConcurrency: STT_MAX_CONCURRENCY,
+    inputFormat: inputFormat,
+    // The request parameters are recorded in the manifest, to replay the session
+    recording: RECORDING_CONFIG ? { ...RECORDING_CONFIG, params: { sttProvider, vadParams, inputFormat } } : null,
+    vadOptions: {
+      modelPath: MODEL_PATH,
+      // Environment defaults, profile and per-request overrides
+      threshold: vadParams.threshold,
+      negThreshold: vadParams.negThreshold,
+      smoothing: vadParams.smoothing,
+      smoothingAlpha: vadParams.smoothingAlpha,
+      smoothingWindow: vadParams.smoothingWindow,
+      speechOnsetFrames: vadParams.speechOnsetFrames,
+      minSilenceDurationMs: vadParams.minSilenceMs,
+      speechPadMs: vadParams.speechPadMs,
+      maxSpeechDurationMs: vadParams.maxSpeechMs,
+      maxSpeechCutWindowMs: maxSpeechCutWindowMs,
+      provider: vadParams.provider,
+      forwardAudio: VAD_FORWARD_AUDIO,
+      interimIntervalMs: STT_INTERIM_INTERVAL_MS
+    }
+  };
+};
+
+const logSessionConfig = (session, { vadParams, inputFormat }) => {
+  const { threshold, minSilenceDurationMs, speechPadMs, provider, smoothing, speechOnsetFrames } = session.vadOptions;
+  session.logger.info('VAD initialized', {
+    input: describeInputFormat(inputFormat),
+    outputSampleRate: session.outputSampleRate, // null until the WAV header is parsed
+    profile: vadParams.profile || 'default',
+    threshold,
+    negThreshold: vadParams.negThreshold ?? 'auto',
+    smoothing,
+    onsetFrames: speechOnsetFrames,
+    minSilenceMs: minSilenceDurationMs,
+    speechPadMs,
+    minSpeechDurationMs: vadParams.minSpeechDurationMs,
+    maxSpeechMs: vadParams.maxSpeechMs || 'unlimited',
+    provider
+  });
+};
+
+module.exports = {
+  STT_PROVIDER,
+  STT_PROVIDERS,
+  STT_CLIENT_OPTIONS,
+  INPUT_AUDIO_CONFIG,
+  VAD_CONFIG,
+  RECORDING_CONFIG,
+  WEBHOOK_CONFIG,
+  MODEL_PATH,
+  VAD_SESSION_POOL_SIZE,
+  getSttProvider,
+  resolveRequestParams,
+  getSessionOptions,
+  logSessionConfig,
+};
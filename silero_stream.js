@@ -1,5 +1,14 @@
 const { Transform } = require('stream');
 const ort = require('onnxruntime-node');
+const { Resampler, SUPPORTED_INPUT_RATES } = require('./resampler');
+const metrics = require('./metrics');
+const { getVadModel } = require('./vad_model');
+const { logger } = require('./logger');
+
+// Which audio is attached to speech events: the client's original samples or the VAD-rate samples
+const FORWARD_AUDIO_MODES = ['resampled', 'original'];
+// Smoothing of the per-frame probabilities before the speech decisions
+const SMOOTHING_MODES = ['none', 'ema', 'moving_average'];
 
 class SileroVADStream extends Transform {
   constructor(options = {}) {
@@ -13,30 +22,94 @@ class SileroVADStream extends Transform {
     this.options = {
       // Default Silero VAD sample rate
       sampleRate: options.sampleRate || 16000,
+      // Sample rate of the incoming client audio, resampled to sampleRate before inference
+      inputSampleRate: options.inputSampleRate || 16000,
+      // Audio attached to speech events: 'resampled' (sampleRate) or 'original' (inputSampleRate)
+      forwardAudio: options.forwardAudio || 'resampled',
       // Frame size Silero VAD expects (adjust if necessary based on model)
       // Common sizes are 256, 512, 768, 1024, 1536 for 16kHz
       // e.g., 30ms at 16kHz = 480 samples. Using 512 for now.
       frameSize: options.frameSize || 512,
       // VAD thresholds and timing (adjust as needed)
       threshold: options.threshold || 0.5,
-      minSilenceDurationMs: options.minSilenceDurationMs || 100, // Time to wait before declaring end
-      speechPadMs: options.speechPadMs || 100, // Add padding before/after speech
+      // Speech ends on frames below negThreshold (hysteresis, as Silero's neg_threshold);
+      // null follows threshold: max(threshold - 0.15, 0.01)
+      negThreshold: options.negThreshold ?? null,
+      // 'none', 'ema' (exponential, weight smoothingAlpha for the new frame) or 'moving_average' (last smoothingWindow frames)
+      smoothing: options.smoothing || 'none',
+      smoothingAlpha: options.smoothingAlpha || 0.5,
+      smoothingWindow: options.smoothingWindow || 3,
+      // Consecutive frames at or above threshold required to declare a speech start
+      speechOnsetFrames: options.speechOnsetFrames || 1,
+      minSilenceDurationMs: options.minSilenceDurationMs ?? 100, // Time to wait before declaring end
+      speechPadMs: options.speechPadMs ?? 100, // Add padding before/after speech
+      // Longest segment before a boundary is forced, e.g. constant background speech (0 = unlimited)
+      maxSpeechDurationMs: options.maxSpeechDurationMs || 0,
+      // The forced boundary is placed at the least speech-like frame of this last part of the segment
+      maxSpeechCutWindowMs: options.maxSpeechCutWindowMs || 1000,
+      // Emit the speech accumulated so far every interimIntervalMs while speaking (0 = disabled)
+      interimIntervalMs: options.interimIntervalMs || 0,
       // ONNX model path
       modelPath: options.modelPath || './silero_vad.onnx', // Default path, make sure it exists
       // ONNX execution provider (e.g., 'cpu', 'cuda', 'dml')
       provider: options.provider || 'cpu',
+      // Shared InferenceSessionPool (see vad_model.js), looked up from modelPath/provider when not given
+      modelPool: options.modelPool || null,
       ...options // Allow overriding
     };
+    // Carries the session fields (sessionId, channel) when created by a VadSession
+    this.logger = options.logger || logger.child({ component: 'silero_stream' });
+
+    if (!SUPPORTED_INPUT_RATES.includes(this.options.inputSampleRate)) {
+      throw new Error(`Unsupported input sample rate: ${this.options.inputSampleRate}Hz (supported: ${SUPPORTED_INPUT_RATES.join(', ')})`);
+    }
+    if (!FORWARD_AUDIO_MODES.includes(this.options.forwardAudio)) {
+      throw new Error(`Invalid forwardAudio mode: ${this.options.forwardAudio} (expected one of: ${FORWARD_AUDIO_MODES.join(', ')})`);
+    }
+    if (this.options.negThreshold !== null) {
+      SileroVADStream.validateThreshold(this.options.negThreshold);
+    }
+    if (!SMOOTHING_MODES.includes(this.options.smoothing)) {
+      throw new Error(`Invalid smoothing mode: ${this.options.smoothing} (expected one of: ${SMOOTHING_MODES.join(', ')})`);
+    }
+    if (!(this.options.smoothingAlpha > 0 && this.options.smoothingAlpha <= 1)) {
+      throw new Error(`Invalid smoothingAlpha: ${this.options.smoothingAlpha} (expected a number in (0, 1])`);
+    }
+    if (!Number.isInteger(this.options.smoothingWindow) || this.options.smoothingWindow < 1) {
+      throw new Error(`Invalid smoothingWindow: ${this.options.smoothingWindow} (expected a positive integer)`);
+    }
+    if (!Number.isInteger(this.options.speechOnsetFrames) || this.options.speechOnsetFrames < 1) {
+      throw new Error(`Invalid speechOnsetFrames: ${this.options.speechOnsetFrames} (expected a positive integer)`);
+    }
+
+    // Resample only when the client rate differs from the model rate
+    this.resampler = this.options.inputSampleRate !== this.options.sampleRate
+      ? new Resampler({ fromRate: this.options.inputSampleRate, toRate: this.options.sampleRate })
+      : null;
 
     // --- VAD State ---
-    this.vadModel = null; // ONNX session
+    this.vadModel = null; // Shared ONNX session pool, this stream only owns its state tensors
     this.state = {
       // h: null, // LSTM hidden state tensor - Model uses single state tensor
       // c: null, // LSTM cell state tensor - Model uses single state tensor
       state: null, // Combined state tensor for this model
       sr: null,    // Sample rate tensor
-      inputBuffer: Buffer.alloc(0), // Buffer for incoming audio
+      inputBuffer: Buffer.alloc(0), // Buffer for incoming audio (client rate, may hold half a sample)
+      vadBuffer: Buffer.alloc(0), // Audio at the VAD sample rate waiting to be framed
+      originalBuffer: Buffer.alloc(0), // Client-rate audio matching vadBuffer, used when forwarding original audio
+      framesProcessed: 0, // Number of VAD frames consumed, used for stream offsets and original audio mapping
+      currentFrame: null, // Index of the frame being handled (the last one handled, between chunks)
+      speechStartFrame: null, // Index of the frame that started the current speech segment
+      lastSpeechFrame: null, // Index of the last frame counted as speech
+      onsetFrames: 0, // Consecutive frames at or above threshold while idle
+      smoothedProbability: null, // Last smoothed probability ('ema')
+      recentProbabilities: [], // Last smoothingWindow raw probabilities ('moving_average')
+      framesSinceInterim: 0, // In-speech frames since the last interim event
       speechBuffer: [], // Buffer for detected speech frames + padding
+      speechProbabilities: [], // VAD probability of each frame in speechBuffer
+      preRollBuffer: [], // Last frames heard while idle (at most speechPadFrames), prepended to the next segment
+      preRollProbabilities: [],
+      pendingEnd: null, // Ended segment still collecting its trailing padding
       isSpeaking: false,
       silenceFramesCount: 0,
       speechStartReported: false,
@@ -44,9 +117,20 @@ class SileroVADStream extends Transform {
 
     // Calculate internal timing based on frame size and sample rate
     this.samplesPerMs = this.options.sampleRate / 1000;
+    this.frameDurationMs = this.options.frameSize / this.samplesPerMs;
     this.frameSizeInBytes = this.options.frameSize * 2; // Assuming 16-bit PCM
+    // Client-rate samples covered by one VAD frame (may be fractional, e.g. 44.1kHz input)
+    this.inputSamplesPerFrame = (this.options.frameSize * this.options.inputSampleRate) / this.options.sampleRate;
     this.minSilenceFrames = Math.ceil((this.options.minSilenceDurationMs * this.samplesPerMs) / this.options.frameSize);
     this.speechPadFrames = Math.ceil((this.options.speechPadMs * this.samplesPerMs) / this.options.frameSize);
+    this.maxSpeechFrames = this.options.maxSpeechDurationMs > 0
+      ? Math.max(2, Math.ceil(this.options.maxSpeechDurationMs / this.frameDurationMs))
+      : 0;
+    // Leave at least one frame in the segment before the cut
+    this.cutWindowFrames = Math.min(Math.max(1, Math.round(this.options.maxSpeechCutWindowMs / this.frameDurationMs)), this.maxSpeechFrames - 1);
+    this.interimFrames = this.options.interimIntervalMs > 0
+      ? Math.max(1, Math.round(this.options.interimIntervalMs / this.frameDurationMs))
+      : 0;
 
     // Flag to ensure initialization happens only once
     this.isInitialized = false;
@@ -57,42 +141,117 @@ class SileroVADStream extends Transform {
 
   async _initialize() {
     try {
-      console.log(`Initializing Silero VAD Stream...`);
-      console.log(` - Model Path: ${this.options.modelPath}`);
-      console.log(` - Sample Rate: ${this.options.sampleRate} Hz`);
-      console.log(` - Frame Size: ${this.options.frameSize} samples`);
-      console.log(` - ONNX Provider: ${this.options.provider}`);
-
-      // TODO: Validate options (e.g., check if model file exists)
+      this.logger.debug('Initializing Silero VAD stream', {
+        modelPath: this.options.modelPath,
+        sampleRate: this.options.sampleRate,
+        inputSampleRate: this.options.inputSampleRate,
+        forwardAudio: this.options.forwardAudio,
+        frameSize: this.options.frameSize,
+        provider: this.options.provider
+      });
 
-      this.vadModel = await ort.InferenceSession.create(this.options.modelPath, {
-         executionProviders: [this.options.provider],
-         // Optional: Add other session options like graph optimization level
+      // The model is loaded once per process and shared by all streams
+      this.vadModel = this.options.modelPool || await getVadModel({
+        modelPath: this.options.modelPath,
+        provider: this.options.provider,
       });
-      console.log('ONNX session created successfully.');
 
-      // Initialize state tensors h and c based on the model's expected input shape
-      // This model uses a single 'state' tensor with shape [2, 1, 128]
-      const stateShape = [2, 1, 128];
-      const stateSize = stateShape.reduce((a, b) => a * b, 1);
-      this.state.state = new ort.Tensor('float32', new Float32Array(stateSize).fill(0), stateShape);
+      this.state.state = this._createStateTensor();
 
       // Initialize sample rate tensor (int64, shape [1])
       this.state.sr = new ort.Tensor('int64', [BigInt(this.options.sampleRate)], [1]);
 
-      console.log('VAD state and sr tensors initialized.');
       this.isInitialized = true;
-      console.log("Silero VAD Stream Initialized.");
+      this.logger.debug('Silero VAD stream initialized');
 
       // Allow processing to start if data arrived before init finished
       this.emit('initialized');
 
     } catch (error) {
-      console.error('Failed to initialize Silero VAD Stream:', error);
+      this.logger.error('Failed to initialize Silero VAD stream', { error });
       this.emit('error', new Error(`Failed to initialize VAD: ${error.message}`));
     }
   }
 
+  _createStateTensor() {
+    // Initialize state tensors h and c based on the model's expected input shape
+    // This model uses a single 'state' tensor with shape [2, 1, 128]
+    const stateShape = [2, 1, 128];
+    const stateSize = stateShape.reduce((a, b) => a * b, 1);
+    return new ort.Tensor('float32', new Float32Array(stateSize).fill(0), stateShape);
+  }
+
+  // --- Runtime controls (used by interactive transports such as WebSocket) ---
+
+  // Ends the current speech segment immediately, emitting its end event. Returns false if not speaking.
+  flushSpeech() {
+    if (!this.state.isSpeaking || this.state.speechBuffer.length === 0) {
+      // A segment that already ended is sent without waiting for the rest of its padding
+      if (this.state.pendingEnd) {
+        this._pushPendingEnd();
+        return true;
+      }
+      return false;
+    }
+    this.logger.debug('Flush requested mid-speech, forcing end event');
+    this._forceSpeechEnd('flush');
+    return true;
+  }
+
+  // Discards any buffered speech and restarts the model from a blank state. A segment that
+  // already ended is sent first, without waiting for the rest of its padding; the segment in
+  // progress, whose start was already pushed, ends with reason 'reset' and no audio.
+  resetState() {
+    this.logger.debug('Resetting VAD state');
+    this._pushPendingEnd();
+    if (this.state.isSpeaking) {
+      this.push({
+        speech: {
+          end: true,
+          reason: 'reset',
+          probability: 0.0,
+          confidence: this._segmentConfidence(this.state.lastSpeechFrame + 1),
+          ...this._segmentTiming(this.state.lastSpeechFrame + 1),
+        },
+        audioData: Buffer.alloc(0)
+      });
+    }
+    if (this.isInitialized) {
+      this.state.state = this._createStateTensor();
+    }
+    this.state.speechBuffer = [];
+    this.state.speechProbabilities = [];
+    this.state.preRollBuffer = [];
+    this.state.preRollProbabilities = [];
+    this.state.pendingEnd = null;
+    this.state.onsetFrames = 0;
+    this.state.smoothedProbability = null;
+    this.state.recentProbabilities = [];
+    this.state.isSpeaking = false;
+    this.state.silenceFramesCount = 0;
+    this.state.speechStartReported = false;
+    this.state.speechStartFrame = null;
+  }
+
+  static validateThreshold(threshold) {
+    if (typeof threshold !== 'number' || !(threshold >= 0 && threshold <= 1)) {
+      throw new Error(`Invalid threshold: ${threshold} (expected a number between 0 and 1)`);
+    }
+  }
+
+  setThreshold(threshold) {
+    SileroVADStream.validateThreshold(threshold);
+    this.options.threshold = threshold;
+  }
+
+  // Offset threshold, never above the onset threshold
+  get negThreshold() {
+    const negThreshold = this.options.negThreshold !== null
+      ? this.options.negThreshold
+      : Math.max(this.options.threshold - 0.15, 0.01);
+    return Math.min(negThreshold, this.options.threshold);
+  }
+
   async _transform(chunk, encoding, callback) {
     if (!this.isInitialized) {
       // Wait for initialization before processing data
@@ -105,14 +264,20 @@ class SileroVADStream extends Transform {
 
   async _processChunk(chunk, callback) {
     try {
-      this.state.inputBuffer = Buffer.concat([this.state.inputBuffer, chunk]);
+      this._appendInput(chunk);
 
-      while (this.state.inputBuffer.length >= this.frameSizeInBytes) {
-        const audioFramePCM = this.state.inputBuffer.slice(0, this.frameSizeInBytes);
-        this.state.inputBuffer = this.state.inputBuffer.slice(this.frameSizeInBytes);
+      while (this.state.vadBuffer.length >= this.frameSizeInBytes) {
+        const vadFramePCM = this.state.vadBuffer.slice(0, this.frameSizeInBytes);
+        this.state.vadBuffer = this.state.vadBuffer.slice(this.frameSizeInBytes);
+
+        // Audio buffered for the speech events, at the rate selected by forwardAudio
+        // (identical when no resampling is needed)
+        const audioFramePCM = this.options.forwardAudio === 'original' && this.resampler
+          ? this._takeOriginalFrame()
+          : vadFramePCM;
 
         // 1. Convert frame to Float32Array
-        const audioFrameFloat32 = this._bufferToFloat32(audioFramePCM);
+        const audioFrameFloat32 = this._bufferToFloat32(vadFramePCM);
 
         // 2. Prepare ONNX inputs
         const inputs = {
@@ -130,7 +295,9 @@ class SileroVADStream extends Transform {
         // TODO: Add sr, h, c tensors to inputs AFTER initializing them correctly
 
         // 3. Run Inference
+        // Timed by the pool (inference and queue wait, see vad_model.js)
         const outputs = await this.vadModel.run(inputs);
+        metrics.framesProcessed.inc();
         const probability = outputs.output.data[0]; // Name 'output' based on Netron
         const newState = outputs.stateN; // Name 'stateN' based on Netron
 
@@ -147,47 +314,165 @@ class SileroVADStream extends Transform {
 
         // 5. Handle speech detection logic
         this._handleSpeechLogic(probability, audioFramePCM);
+        this.state.framesProcessed++;
       }
       callback();
     } catch (error) {
-      console.error('Error processing audio chunk:', error);
+      this.logger.error('Error processing audio chunk', { error });
       callback(error);
     }
   }
 
-  _handleSpeechLogic(probability, audioFramePCM) {
-    const isSpeech = probability >= this.options.threshold;
+  // Sample rate of the audio attached to speech events
+  get outputSampleRate() {
+    return this.options.forwardAudio === 'original' ? this.options.inputSampleRate : this.options.sampleRate;
+  }
+
+  _appendInput(chunk) {
+    this.state.inputBuffer = Buffer.concat([this.state.inputBuffer, chunk]);
+
+    // Only whole 16-bit samples can be resampled, keep an odd trailing byte for the next chunk
+    const usableBytes = this.state.inputBuffer.length - (this.state.inputBuffer.length % 2);
+    const inputPCM = this.state.inputBuffer.slice(0, usableBytes);
+    this.state.inputBuffer = this.state.inputBuffer.slice(usableBytes);
+
+    if (!this.resampler) {
+      this.state.vadBuffer = Buffer.concat([this.state.vadBuffer, inputPCM]);
+      return;
+    }
+
+    const resampled = this.resampler.process(this._bufferToFloat32(inputPCM));
+    this.state.vadBuffer = Buffer.concat([this.state.vadBuffer, this._float32ToBuffer(resampled)]);
+    if (this.options.forwardAudio === 'original') {
+      this.state.originalBuffer = Buffer.concat([this.state.originalBuffer, inputPCM]);
+    }
+  }
+
+  // Slice the client-rate samples covering the next VAD frame
+  _takeOriginalFrame() {
+    const start = Math.round(this.state.framesProcessed * this.inputSamplesPerFrame);
+    const end = Math.round((this.state.framesProcessed + 1) * this.inputSamplesPerFrame);
+    const frameBytes = Math.min((end - start) * 2, this.state.originalBuffer.length);
+    const frame = this.state.originalBuffer.slice(0, frameBytes);
+    this.state.originalBuffer = this.state.originalBuffer.slice(frameBytes);
+    return frame;
+  }
+
+  // Offset (ms from the start of the stream) of the beginning of a frame
+  _frameOffsetMs(frameIndex) {
+    return frameIndex * this.frameDurationMs;
+  }
+
+  // Stream frame index of an entry of speechBuffer (while speaking, every frame is buffered:
+  // the last entry is the current frame)
+  _bufferFrameIndex(bufferIndex) {
+    return this.state.currentFrame - (this.state.speechBuffer.length - 1 - bufferIndex);
+  }
+
+  _bufferFrame(audioFramePCM, probability) {
+    this.state.speechBuffer.push(audioFramePCM);
+    this.state.speechProbabilities.push(probability);
+  }
+
+  // Offset of the beginning of a frame in the forwarded audio, in samples at outputSampleRate
+  // (original audio frames are sliced on the same boundaries, see _takeOriginalFrame)
+  _frameSampleOffset(frameIndex) {
+    return this.options.forwardAudio === 'original' && this.resampler
+      ? Math.round(frameIndex * this.inputSamplesPerFrame)
+      : frameIndex * this.options.frameSize;
+  }
+
+  // Timing fields attached to speech end events
+  _segmentTiming(endFrame) {
+    const startMs = this._frameOffsetMs(this.state.speechStartFrame);
+    const endMs = this._frameOffsetMs(endFrame);
+    return { startMs, endMs, durationMs: endMs - startMs };
+  }
+
+  // Keeps the last speechPadFrames frames heard while idle, prepended to the next segment,
+  // plus the onset frames of a speech start not confirmed yet
+  _addPreRoll(audioFramePCM, probability) {
+    const maxFrames = this.speechPadFrames + this.state.onsetFrames;
+    if (maxFrames === 0) {
+      return;
+    }
+    this.state.preRollBuffer.push(audioFramePCM);
+    this.state.preRollProbabilities.push(probability);
+    while (this.state.preRollBuffer.length > maxFrames) {
+      this.state.preRollBuffer.shift();
+      this.state.preRollProbabilities.shift();
+    }
+  }
+
+  _smoothProbability(probability) {
+    if (this.options.smoothing === 'ema') {
+      const previous = this.state.smoothedProbability;
+      this.state.smoothedProbability = previous === null
+        ? probability
+        : this.options.smoothingAlpha * probability + (1 - this.options.smoothingAlpha) * previous;
+      return this.state.smoothedProbability;
+    }
+    if (this.options.smoothing === 'moving_average') {
+      const recent = this.state.recentProbabilities;
+      recent.push(probability);
+      if (recent.length > this.options.smoothingWindow) {
+        recent.shift();
+      }
+      return recent.reduce((sum, value) => sum + value, 0) / recent.length;
+    }
+    return probability;
+  }
+
+  // Whether a frame counts as speech. While idle, a start needs speechOnsetFrames consecutive
+  // frames at or above threshold. While speaking, frames below negThreshold are silence, frames
+  // at or above threshold are speech and frames in between keep the current state (hysteresis).
+  _isSpeechFrame(probability) {
+    if (this.state.isSpeaking) {
+      return probability >= this.options.threshold ||
+        (probability >= this.negThreshold && this.state.silenceFramesCount === 0);
+    }
+    this.state.onsetFrames = probability >= this.options.threshold ? this.state.onsetFrames + 1 : 0;
+    return this.state.onsetFrames >= this.options.speechOnsetFrames;
+  }
+
+  // rawProbability is the model output; decisions and events use the smoothed value
+  _handleSpeechLogic(rawProbability, audioFramePCM) {
+    this.state.currentFrame = this.state.framesProcessed;
+    const probability = this._smoothProbability(rawProbability);
+    const isSpeech = this._isSpeechFrame(probability);
 
     if (isSpeech) {
       this.state.silenceFramesCount = 0; // Reset silence counter
+      this.state.lastSpeechFrame = this.state.framesProcessed;
       if (!this.state.isSpeaking) {
-         // Start of speech detected
+         // Start of speech detected. The previous segment's trailing padding, if still
+         // being collected, stops here so its end event comes before this start event.
+         this._pushPendingEnd();
          this.state.isSpeaking = true;
-         console.log(`(${new Date().toISOString()}) Speech Start Detected (prob: ${probability.toFixed(2)})`);
-         
-         // --- MODIFIED START LOGIC: Keep existing buffer for pre-padding --- 
-         // Instead of clearing, we keep the frames already in speechBuffer 
-         // (which likely contain recent silence/noise from before speech started, 
-         // potentially up to speechPadFrames worth based on the silence logic)
-         // const originalBuffer = this.state.speechBuffer;
-         // this.state.speechBuffer = []; // conceptual clear
-         // originalBuffer.forEach(frame => this.state.speechBuffer.push(frame));
-         // --- END MODIFICATION (Simplified: Just don't clear!) --- 
-         
+         // The segment starts at the first onset frame (already in the pre-roll)
+         this.state.speechStartFrame = this.state.framesProcessed - this.state.onsetFrames + 1;
+         this.state.onsetFrames = 0;
+         this.state.framesSinceInterim = 0;
+         this.logger.debug('Speech start detected', { probability, frame: this.state.speechStartFrame });
+
+         // The segment starts with the pre-roll (up to speechPadMs of audio before the speech)
+         this.state.speechBuffer = this.state.preRollBuffer;
+         this.state.speechProbabilities = this.state.preRollProbabilities;
+         this.state.preRollBuffer = [];
+         this.state.preRollProbabilities = [];
+
          // Add current frame that triggered speech start
-         this.state.speechBuffer.push(audioFramePCM);
+         this._bufferFrame(audioFramePCM, probability);
          
          // Emit start event *once* per speech segment
          if (!this.state.speechStartReported) {
-            // Pass the *current* audio buffer state (including prepended frames) 
-            // This isn't standard, usually start doesn't carry audio.
-            // We'll rely on the 'end' event's audioData which includes everything.
-            this.push({ speech: { start: true, probability: probability } });
+            // Start events carry no audio, the 'end' event's audioData includes everything.
+            this.push({ speech: { start: true, probability: probability, startMs: this._frameOffsetMs(this.state.speechStartFrame) } });
             this.state.speechStartReported = true;
          }
       } else {
          // Continuing speech
-         this.state.speechBuffer.push(audioFramePCM);
+         this._bufferFrame(audioFramePCM, probability);
          // Emit ongoing speech data - push the raw frame
          // Note: The audioData here is just the current frame, not the whole buffer
          this.push({ speech: { state: true, probability: probability }, audioData: audioFramePCM });
@@ -197,28 +482,169 @@ class SileroVADStream extends Transform {
       if (this.state.isSpeaking) {
          this.state.silenceFramesCount++;
          // Still buffer audio during potential silence within speech or for padding
-         this.state.speechBuffer.push(audioFramePCM);
+         this._bufferFrame(audioFramePCM, probability);
 
          if (this.state.silenceFramesCount >= this.minSilenceFrames) {
             // End of speech detected after enough silence
-            console.log(`(${new Date().toISOString()}) Speech End Detected (prob: ${probability.toFixed(2)}, silence frames: ${this.state.silenceFramesCount})`);
-            this.state.isSpeaking = false;
-            this.state.speechStartReported = false; // Reset for next segment
-            this.state.silenceFramesCount = 0;
-
-            // Combine buffered speech frames
-            const speechAudioData = Buffer.concat(this.state.speechBuffer);
-            this.state.speechBuffer = []; // Clear buffer
-
-            // Emit end event with the complete audio segment
-            this.push({ speech: { end: true, probability: probability }, audioData: speechAudioData });
+            this.logger.debug('Speech end detected', { probability, silenceFrames: this.state.silenceFramesCount });
+            this._endSpeech('silence', probability, true);
          }
       } else {
-         // Silence continues, keep adding frames to the buffer.
-         // The buffer will be cleared only when speech ends.
-         this.state.speechBuffer.push(audioFramePCM);
+         // Silence continues: completes the trailing padding of the last segment if needed,
+         // and is kept (up to speechPadMs) as pre-roll for the next one
+         if (this.state.pendingEnd) {
+            this.state.pendingEnd.frames.push(audioFramePCM);
+            if (this.state.pendingEnd.frames.length >= this.state.pendingEnd.targetFrames) {
+               this._pushPendingEnd();
+            }
+         }
+         this._addPreRoll(audioFramePCM, probability);
       }
     }
+
+    if (this.state.isSpeaking && this.maxSpeechFrames > 0 &&
+        this.state.framesProcessed + 1 - this.state.speechStartFrame >= this.maxSpeechFrames) {
+      this._splitSpeech();
+    }
+
+    if (this.state.isSpeaking) {
+      this._maybePushInterim(probability);
+    }
+  }
+
+  // Ends the segment in progress. The audio runs from the pre-roll to the last speech frame,
+  // followed by speechPadMs of trailing padding; silence beyond the padding is trimmed.
+  // With waitForPadding, missing padding frames (speechPadMs > minSilenceDurationMs) are
+  // collected from the next frames before the end event is pushed.
+  _endSpeech(reason, probability, waitForPadding) {
+    const { speechBuffer, speechProbabilities, silenceFramesCount } = this.state;
+    const speechFrames = speechBuffer.length - silenceFramesCount;
+    const paddingFrames = Math.min(silenceFramesCount, this.speechPadFrames);
+    const segment = {
+      reason,
+      probability,
+      timing: this._segmentTiming(this.state.lastSpeechFrame + 1),
+      confidence: this._segmentConfidence(this.state.lastSpeechFrame + 1),
+      startFrame: this._bufferFrameIndex(0),
+      frames: speechBuffer.slice(0, speechFrames + paddingFrames),
+      targetFrames: speechFrames + this.speechPadFrames,
+    };
+
+    // The trailing silence is also the pre-roll of the next segment
+    const preRollStart = Math.max(speechFrames, speechBuffer.length - this.speechPadFrames);
+    this.state.preRollBuffer = speechBuffer.slice(preRollStart);
+    this.state.preRollProbabilities = speechProbabilities.slice(preRollStart);
+
+    this.state.isSpeaking = false;
+    this.state.speechStartReported = false; // Reset for next segment
+    this.state.silenceFramesCount = 0;
+    this.state.speechBuffer = [];
+    this.state.speechProbabilities = [];
+
+    if (waitForPadding && segment.frames.length < segment.targetFrames) {
+      this.state.pendingEnd = segment;
+      return;
+    }
+    this._pushEnd(segment);
+  }
+
+  // Pushes the end event of a segment still collecting its trailing padding, if any
+  _pushPendingEnd() {
+    if (this.state.pendingEnd) {
+      const segment = this.state.pendingEnd;
+      this.state.pendingEnd = null;
+      this._pushEnd(segment);
+    }
+  }
+
+  // Mean probability of the segment's frames, from its start to endFrame (padding excluded)
+  _segmentConfidence(endFrame) {
+    const from = this.state.speechStartFrame - this._bufferFrameIndex(0);
+    const probabilities = this.state.speechProbabilities.slice(from, endFrame - this._bufferFrameIndex(0));
+    return probabilities.length > 0 ? probabilities.reduce((sum, value) => sum + value, 0) / probabilities.length : 0;
+  }
+
+  // startSample/endSample locate audioData in the stream, at outputSampleRate
+  _pushEnd({ reason, probability, timing, confidence, startFrame, frames }) {
+    this.push({
+      speech: {
+        end: true,
+        reason: reason,
+        probability: probability,
+        confidence: confidence,
+        ...timing,
+        startSample: this._frameSampleOffset(startFrame),
+        endSample: this._frameSampleOffset(startFrame + frames.length),
+      },
+      audioData: Buffer.concat(frames)
+    });
+  }
+
+  // The segment reached maxSpeechDurationMs: end it at the lowest-probability frame of the
+  // last cutWindowFrames and continue with a new segment from there. Both sides of the cut
+  // get speechPadFrames of the audio across it, as at a natural boundary.
+  // A cut in the trailing silence (no speech after it) just ends the segment.
+  _splitSpeech() {
+    const { speechBuffer, speechProbabilities } = this.state;
+    // Earliest minimum, so that constant probabilities (e.g. music) leave audio after the cut
+    let cut = speechBuffer.length - this.cutWindowFrames;
+    for (let i = cut + 1; i < speechBuffer.length; i++) {
+      if (speechProbabilities[i] < speechProbabilities[cut]) {
+        cut = i;
+      }
+    }
+    // Silence has started and the cut is at or after its start: no speech would follow it
+    const { silenceFramesCount } = this.state;
+    if (silenceFramesCount > 0 && cut >= speechBuffer.length - 1 - silenceFramesCount) {
+      this.logger.info('Max speech duration reached in trailing silence, ending segment', { probability: speechProbabilities[cut] });
+      this._endSpeech('max_duration', speechProbabilities[cut], true);
+      return;
+    }
+    const cutFrame = this._bufferFrameIndex(cut) + 1; // First frame of the new segment
+
+    this.logger.info('Max speech duration reached, splitting segment', { cutMs: Math.round(this._frameOffsetMs(cutFrame)), probability: speechProbabilities[cut] });
+    this._pushEnd({
+      reason: 'max_duration',
+      probability: speechProbabilities[cut],
+      timing: this._segmentTiming(cutFrame),
+      confidence: this._segmentConfidence(cutFrame),
+      startFrame: this._bufferFrameIndex(0),
+      frames: speechBuffer.slice(0, Math.min(speechBuffer.length, cut + 1 + this.speechPadFrames)),
+    });
+
+    // The new segment keeps the frames after the cut, plus the pre-padding before it
+    const keepFrom = Math.max(0, cut + 1 - this.speechPadFrames);
+    this.state.speechBuffer = speechBuffer.slice(keepFrom);
+    this.state.speechProbabilities = speechProbabilities.slice(keepFrom);
+    this.state.speechStartFrame = cutFrame;
+    // Speech follows the cut, so the segment cannot end before it starts
+    this.state.lastSpeechFrame = Math.max(this.state.lastSpeechFrame, cutFrame);
+    this.state.silenceFramesCount = Math.min(this.state.silenceFramesCount, speechBuffer.length - 1 - cut);
+    this.state.framesSinceInterim = 0;
+    const startProbability = cut + 1 < speechBuffer.length ? speechProbabilities[cut + 1] : speechProbabilities[cut];
+    this.push({ speech: { start: true, probability: startProbability, startMs: this._frameOffsetMs(cutFrame) } });
+  }
+
+  // While speaking, periodically emit the whole segment so far for interim transcription
+  _maybePushInterim(probability) {
+    if (!this.interimFrames) {
+      return;
+    }
+    this.state.framesSinceInterim++;
+    if (this.state.framesSinceInterim < this.interimFrames) {
+      return;
+    }
+    this.state.framesSinceInterim = 0;
+    this.push({
+      speech: { partial: true, probability: probability, ...this._segmentTiming(this.state.framesProcessed + 1) },
+      audioData: Buffer.concat(this.state.speechBuffer)
+    });
+  }
+
+  // Emits the end event for the segment in progress without waiting for silence
+  // reason: 'flush' (control message) or 'stream_end'
+  _forceSpeechEnd(reason) {
+    this._endSpeech(reason, 0.0, false); // Use 0 prob for forced end
   }
 
   _bufferToFloat32(buffer) {
@@ -230,17 +656,26 @@ class SileroVADStream extends Transform {
     return float32Array;
   }
 
+  _float32ToBuffer(float32Array) {
+    // Converts back to 16-bit Little Endian PCM, clipping out-of-range samples
+    const buffer = Buffer.alloc(float32Array.length * 2);
+    for (let i = 0; i < float32Array.length; i++) {
+      const sample = Math.max(-1, Math.min(1, float32Array[i]));
+      buffer.writeInt16LE(Math.round(sample * 32767), i * 2);
+    }
+    return buffer;
+  }
+
   _flush(callback) {
     // Handle any remaining buffered data when the input stream ends
-    console.log("Input stream ended. Flushing SileroVADStream.");
+    this.logger.debug('Input stream ended, flushing VAD stream');
     if (this.state.isSpeaking && this.state.speechBuffer.length > 0) {
       // If stream ends mid-speech, treat it as an end event
-      console.log("Stream ended mid-speech, forcing end event.");
-      const speechAudioData = Buffer.concat(this.state.speechBuffer);
-      this.push({ speech: { end: true, probability: 0.0 }, audioData: speechAudioData }); // Use 0 prob for forced end
-      this.state.isSpeaking = false;
-      this.state.speechBuffer = [];
+      this.logger.debug('Stream ended mid-speech, forcing end event');
+      this._forceSpeechEnd('stream_end');
     }
+    // No more audio to complete the trailing padding with
+    this._pushPendingEnd();
     // Clean up resources if needed (e.g., close ONNX session? Usually not needed here)
     callback();
   }
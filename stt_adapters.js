@@ -0,0 +1,145 @@
+const axios = require('axios'); // To send data to the transcription service
+const { encodeWav } = require('./wav');
+
+/**
+ * Base class of the STT provider adapters.
+ * An adapter turns a speech segment (16-bit mono PCM) into an HTTP request
+ * for a given STT protocol and maps the provider response back to text.
+ * Subclasses implement buildRequest() and declare their default response field.
+ */
+class SttAdapter {
+  constructor(options = {}) {
+    this.url = options.url; // Default endpoint, SttClient passes one per request
+    this.provider = options.provider || this.constructor.name; // Name used in logs and metrics
+    // Dotted path of the transcription in the response body (e.g. 'text', 'results.0.transcript')
+    this.responseField = options.responseField || this.constructor.defaultResponseField;
+    this.headers = options.headers || {};
+    this.options = options;
+  }
+
+  /**
+   * @param {Buffer} audio 16-bit little-endian mono PCM
+   * @param {{ sampleRate: number }} format
+   * @returns {{ data: any, headers: object }}
+   */
+  buildRequest(audio, format) {
+    throw new Error(`${this.constructor.name} must implement buildRequest()`);
+  }
+
+  extractText(responseData) {
+    const value = this.responseField.split('.').reduce(
+      (current, key) => (current !== undefined && current !== null ? current[key] : undefined),
+      responseData
+    );
+    return typeof value === 'string' ? value : null;
+  }
+
+  /**
+   * Sends one segment to the provider (a single attempt, see stt_client.js for retries).
+   * @param {{ sampleRate: number, signal?: AbortSignal, headers?: object, url?: string, timeout?: number }} options
+   * @returns {Promise<{ text: string|null, status: number }>}
+   * Rejects with the axios error on transport or non-2xx failures.
+   */
+  async transcribe(audio, { sampleRate, signal, headers = {}, url = this.url, timeout = 0 } = {}) {
+    if (!url) {
+      throw new Error(`${this.constructor.name}: STT url is required`);
+    }
+    const request = this.buildRequest(audio, { sampleRate });
+    const response = await axios.post(url, request.data, {
+      headers: { ...request.headers, ...this.headers, ...headers },
+      signal,
+      timeout,
+      maxBodyLength: Infinity, // Allow large audio buffers
+      maxContentLength: Infinity
+    });
+    return { text: this.extractText(response.data), status: response.status };
+  }
+}
+
+// Raw PCM body with the sample rate in a header (the original avr-stt-* protocol)
+class RawPcmAdapter extends SttAdapter {
+  buildRequest(audio, { sampleRate }) {
+    return {
+      data: audio,
+      headers: {
+        'Content-Type': 'application/octet-stream',
+        'X-Sample-Rate': sampleRate // Send sample rate as a header
+      }
+    };
+  }
+}
+RawPcmAdapter.defaultResponseField = 'transcription';
+
+// Multipart WAV upload, compatible with OpenAI Whisper style /v1/audio/transcriptions
+class MultipartWavAdapter extends SttAdapter {
+  buildRequest(audio, { sampleRate }) {
+    const form = new FormData();
+    form.append('file', new Blob([encodeWav(audio, { sampleRate })], { type: 'audio/wav' }), 'audio.wav');
+    if (this.options.model) {
+      form.append('model', this.options.model);
+    }
+    if (this.options.language) {
+      form.append('language', this.options.language);
+    }
+    const headers = {};
+    if (this.options.apiKey) {
+      headers.Authorization = `Bearer ${this.options.apiKey}`;
+    }
+    // axios sets the multipart Content-Type (with boundary) for FormData bodies
+    return { data: form, headers };
+  }
+}
+MultipartWavAdapter.defaultResponseField = 'text';
+
+// JSON body carrying the PCM as base64
+class JsonBase64Adapter extends SttAdapter {
+  buildRequest(audio, { sampleRate }) {
+    const body = {
+      audio: audio.toString('base64'),
+      sampleRate,
+      encoding: 'LINEAR16',
+      channels: 1
+    };
+    if (this.options.model) {
+      body.model = this.options.model;
+    }
+    if (this.options.language) {
+      body.language = this.options.language;
+    }
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.options.apiKey) {
+      headers.Authorization = `Bearer ${this.options.apiKey}`;
+    }
+    return { data: body, headers };
+  }
+}
+JsonBase64Adapter.defaultResponseField = 'transcription';
+
+// Adapters selectable by name (STT_PROVIDER or per request)
+const STT_ADAPTERS = {
+  raw: RawPcmAdapter,
+  whisper: MultipartWavAdapter,
+  json: JsonBase64Adapter,
+};
+
+const registerSttAdapter = (name, AdapterClass) => {
+  STT_ADAPTERS[name] = AdapterClass;
+};
+
+const createSttAdapter = (name, options) => {
+  const AdapterClass = STT_ADAPTERS[name];
+  if (!AdapterClass) {
+    throw new Error(`Unknown STT provider: ${name} (available: ${Object.keys(STT_ADAPTERS).join(', ')})`);
+  }
+  return new AdapterClass({ ...options, provider: name });
+};
+
+module.exports = {
+  SttAdapter,
+  RawPcmAdapter,
+  MultipartWavAdapter,
+  JsonBase64Adapter,
+  STT_ADAPTERS,
+  registerSttAdapter,
+  createSttAdapter,
+};
@@ -0,0 +1,299 @@
+// Resilient transport for STT requests: per-request timeout, retries with exponential
+// backoff, one circuit breaker per endpoint and failover / round-robin between endpoints.
+// The wire format itself is handled by the adapter (see stt_adapters.js).
+const metrics = require('./metrics');
+const { logger } = require('./logger');
+
+// Error codes of SttError, also used as 'error' event codes
+const STT_ERROR_CODES = {
+  REQUEST_FAILED: 'stt_request_failed',
+  TIMEOUT: 'stt_timeout',
+  UNAVAILABLE: 'stt_unavailable', // Every endpoint's circuit is open
+  ABORTED: 'stt_aborted', // Cancelled by the caller (signal), never sent to clients
+};
+
+const RETRYABLE_NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENOTFOUND'];
+
+class SttError extends Error {
+  constructor(message, { code = STT_ERROR_CODES.REQUEST_FAILED, status = null, url = null, attempts = 0, cause = null } = {}) {
+    super(message);
+    this.name = 'SttError';
+    this.code = code;
+    this.status = status; // HTTP status of the last response, if any
+    this.url = url; // Endpoint of the last attempt
+    this.attempts = attempts;
+    this.cause = cause; // Underlying axios error
+  }
+}
+
+/**
+ * Classic three-state circuit breaker.
+ * closed: requests pass; after `failureThreshold` consecutive failures it opens.
+ * open: requests fail fast until `resetTimeoutMs` has elapsed.
+ * half_open: a single trial request decides whether to close or re-open.
+ */
+class CircuitBreaker {
+  constructor({ failureThreshold = 5, resetTimeoutMs = 30000 } = {}) {
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutMs;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = 0;
+    this.trialInFlight = false;
+  }
+
+  // Whether a request may be sent now (reserves the half-open trial slot)
+  allowRequest() {
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.resetTimeoutMs) {
+      this.state = 'half_open';
+      this.trialInFlight = false;
+    }
+    if (this.state === 'closed') {
+      return true;
+    }
+    if (this.state === 'half_open' && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+    return false;
+  }
+
+  recordSuccess() {
+    this.state = 'closed';
+    this.failures = 0;
+    this.trialInFlight = false;
+  }
+
+  // The request ended without telling anything about the endpoint (aborted by the caller):
+  // frees the half-open trial slot so that the next request can be the trial
+  releaseTrial() {
+    this.trialInFlight = false;
+  }
+
+  recordFailure() {
+    this.failures++;
+    this.trialInFlight = false;
+    if (this.state === 'half_open' || this.failures >= this.failureThreshold) {
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+  }
+}
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal && signal.aborted) {
+    return reject(signal.reason || new Error('Aborted'));
+  }
+  const timer = setTimeout(() => {
+    if (signal) {
+      signal.removeEventListener('abort', onAbort);
+    }
+    resolve();
+  }, ms);
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(signal.reason || new Error('Aborted'));
+  };
+  if (signal) {
+    signal.addEventListener('abort', onAbort, { once: true });
+  }
+});
+
+// Retry-After header (seconds or HTTP date) in milliseconds, or null
+const parseRetryAfter = (value) => {
+  if (!value) {
+    return null;
+  }
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+// Options that must be integers of at least the given value
+const INTEGER_OPTIONS = {
+  timeoutMs: 0,
+  retries: 0,
+  retryBaseDelayMs: 0,
+  retryMaxDelayMs: 0,
+  breakerFailureThreshold: 1,
+  breakerResetMs: 0,
+};
+
+const isTimeout = (err) => err.code === 'ECONNABORTED' || err.code === 'ETIMEDOUT';
+
+// Failures worth retrying: no response (network), 5xx and 429
+const isRetryable = (err) => {
+  if (err.response) {
+    return err.response.status >= 500 || err.response.status === 429;
+  }
+  return RETRYABLE_NETWORK_CODES.includes(err.code);
+};
+
+class SttClient {
+  /**
+   * @param {object} options
+   * @param {string[]} options.urls STT endpoints
+   * @param {'failover'|'round_robin'} [options.strategy='failover'] failover always starts with the first
+   *   healthy endpoint, round_robin rotates the starting endpoint on every request
+   * @param {number} [options.timeoutMs=10000] Timeout of each attempt (0 = none)
+   * @param {number} [options.retries=2] Retries after the first attempt
+   * @param {number} [options.retryBaseDelayMs=200] First backoff delay, doubled on every retry
+   * @param {number} [options.retryMaxDelayMs=5000] Backoff cap (also caps Retry-After)
+   * @param {number} [options.breakerFailureThreshold=5]
+   * @param {number} [options.breakerResetMs=30000]
+   */
+  constructor(options = {}) {
+    if (!options.urls || options.urls.length === 0) {
+      throw new Error('SttClient: at least one STT url is required');
+    }
+    this.urls = options.urls;
+    this.strategy = options.strategy || 'failover';
+    if (!['failover', 'round_robin'].includes(this.strategy)) {
+      throw new Error(`SttClient: invalid strategy ${this.strategy} (expected failover or round_robin)`);
+    }
+    Object.entries(INTEGER_OPTIONS).forEach(([name, min]) => {
+      if (options[name] !== undefined && !(Number.isInteger(options[name]) && options[name] >= min)) {
+        throw new Error(`SttClient: invalid ${name} ${options[name]} (expected an integer >= ${min})`);
+      }
+    });
+    this.timeoutMs = options.timeoutMs !== undefined ? options.timeoutMs : 10000;
+    this.retries = options.retries !== undefined ? options.retries : 2;
+    this.retryBaseDelayMs = options.retryBaseDelayMs || 200;
+    this.retryMaxDelayMs = options.retryMaxDelayMs || 5000;
+    this.logger = logger.child({ component: 'stt_client' });
+
+    this.breakers = new Map(this.urls.map((url) => [url, new CircuitBreaker({
+      failureThreshold: options.breakerFailureThreshold,
+      resetTimeoutMs: options.breakerResetMs,
+    })]));
+    this.nextIndex = 0; // Round-robin cursor
+  }
+
+  // Endpoints in the order they should be tried for a new request
+  _endpointOrder() {
+    if (this.strategy === 'failover') {
+      return this.urls;
+    }
+    const start = this.nextIndex;
+    this.nextIndex = (this.nextIndex + 1) % this.urls.length;
+    return this.urls.slice(start).concat(this.urls.slice(0, start));
+  }
+
+  // Next endpoint whose breaker lets a request through, starting at position `from`
+  _pickEndpoint(order, from) {
+    for (let i = 0; i < order.length; i++) {
+      const url = order[(from + i) % order.length];
+      if (this.breakers.get(url).allowRequest()) {
+        return { url, position: (from + i) % order.length };
+      }
+    }
+    return null;
+  }
+
+  _backoffDelay(attempt, err) {
+    const retryAfter = err.response ? parseRetryAfter(err.response.headers && err.response.headers['retry-after']) : null;
+    if (retryAfter !== null) {
+      return Math.min(retryAfter, this.retryMaxDelayMs);
+    }
+    const exponential = Math.min(this.retryBaseDelayMs * 2 ** attempt, this.retryMaxDelayMs);
+    // Jitter avoids synchronized retries from concurrent calls
+    return Math.round(exponential / 2 + Math.random() * exponential / 2);
+  }
+
+  /**
+   * Transcribes one segment through the adapter.
+   * @param {import('./stt_adapters').SttAdapter} adapter
+   * @param {Buffer} audio
+   * @param {{ sampleRate: number, signal?: AbortSignal, retries?: number, headers?: object, logger?: import('./logger').Logger }} options
+   *   headers: added to the request (e.g. call correlation), logger: for the retry logs
+   * @returns {Promise<{ text: string|null, status: number, url: string, attempts: number }>}
+   * Rejects with an SttError (code stt_aborted, cause the abort reason, when `signal` is aborted).
+   */
+  async transcribe(adapter, audio, { sampleRate, signal, retries = this.retries, headers, logger = this.logger } = {}) {
+    if (!Number.isInteger(retries) || retries < 0) {
+      throw new SttError(`Invalid retries: ${retries} (expected an integer >= 0)`);
+    }
+    const order = this._endpointOrder();
+    let position = 0;
+    let lastError = null;
+
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      const endpoint = this._pickEndpoint(order, position);
+      if (!endpoint) {
+        throw new SttError('STT service unavailable (circuit open on every endpoint)', {
+          code: STT_ERROR_CODES.UNAVAILABLE,
+          attempts: attempt,
+          status: lastError && lastError.status,
+          url: lastError && lastError.url,
+          cause: lastError && lastError.cause,
+        });
+      }
+      const breaker = this.breakers.get(endpoint.url);
+
+      const endRequestTimer = metrics.sttRequestDuration.startTimer({ provider: adapter.provider });
+      metrics.bytesOut.inc(audio.length);
+      try {
+        const result = await adapter.transcribe(audio, { sampleRate, signal, headers, url: endpoint.url, timeout: this.timeoutMs });
+        endRequestTimer();
+        metrics.sttRequests.inc({ provider: adapter.provider, status: result.status });
+        breaker.recordSuccess();
+        return { ...result, url: endpoint.url, attempts: attempt + 1 };
+      } catch (err) {
+        if (signal && signal.aborted) {
+          breaker.releaseTrial();
+          throw new SttError('STT request aborted', { code: STT_ERROR_CODES.ABORTED, url: endpoint.url, attempts: attempt + 1, cause: err });
+        }
+        endRequestTimer();
+        const status = err.response ? err.response.status : null;
+        const statusLabel = status || err.code || 'error';
+        metrics.sttRequests.inc({ provider: adapter.provider, status: statusLabel });
+        metrics.sttErrors.inc({ provider: adapter.provider, status: statusLabel });
+        const retryable = isRetryable(err);
+        if (retryable) {
+          breaker.recordFailure();
+        } else {
+          // The endpoint answered: a client error does not mean the service is down
+          breaker.recordSuccess();
+        }
+
+        const timedOut = isTimeout(err);
+        lastError = new SttError(
+          status ? `STT service responded with status ${status}` : (timedOut ? `STT request timed out after ${this.timeoutMs}ms` : err.message),
+          {
+            code: timedOut ? STT_ERROR_CODES.TIMEOUT : STT_ERROR_CODES.REQUEST_FAILED,
+            status,
+            url: endpoint.url,
+            attempts: attempt + 1,
+            cause: err,
+          }
+        );
+
+        if (!retryable || attempt === retries) {
+          throw lastError;
+        }
+
+        // Failover: the next attempt goes to the following endpoint, immediately while some
+        // endpoints have not been tried yet, with backoff once every endpoint has failed
+        position = endpoint.position + 1;
+        const delay = (attempt + 1) % order.length === 0 ? this._backoffDelay(Math.floor(attempt / order.length), err) : 0;
+        logger.warn('STT attempt failed, retrying', { attempt: attempt + 1, url: endpoint.url, error: lastError.message, delayMs: delay });
+        if (delay > 0) {
+          await sleep(delay, signal).catch((reason) => {
+            throw new SttError('STT request aborted', { code: STT_ERROR_CODES.ABORTED, url: endpoint.url, attempts: attempt + 1, cause: reason });
+          });
+        }
+      }
+    }
+    throw lastError;
+  }
+}
+
+module.exports = {
+  SttClient,
+  SttError,
+  CircuitBreaker,
+  STT_ERROR_CODES,
+};
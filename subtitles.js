@@ -0,0 +1,39 @@
+// SRT and WebVTT renderings of the segments returned by the batch transcriber
+
+// 'HH:MM:SS<separator>mmm'
+const formatTimestamp = (ms, separator) => {
+  const total = Math.max(0, Math.round(ms));
+  const hours = Math.floor(total / 3600000);
+  const minutes = Math.floor((total % 3600000) / 60000);
+  const seconds = Math.floor((total % 60000) / 1000);
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(total % 1000, 3)}`;
+};
+
+// Segments without a transcript (VAD-only mode, STT failure) are shown as a placeholder
+const cueText = (segment) => segment.text || '[speech]';
+
+/**
+ * @param {Array<{ startMs: number, endMs: number, text?: string|null, channel?: string }>} segments
+ * @returns {string}
+ */
+const toSrt = (segments) => segments.map((segment, index) => [
+  index + 1,
+  `${formatTimestamp(segment.startMs, ',')} --> ${formatTimestamp(segment.endMs, ',')}`,
+  segment.channel !== undefined ? `${segment.channel}: ${cueText(segment)}` : cueText(segment),
+].join('\n')).join('\n\n') + '\n';
+
+/**
+ * @param {Array<{ startMs: number, endMs: number, text?: string|null, channel?: string }>} segments
+ * @returns {string}
+ */
+const toVtt = (segments) => ['WEBVTT', ...segments.map((segment) => [
+  `${formatTimestamp(segment.startMs, '.')} --> ${formatTimestamp(segment.endMs, '.')}`,
+  // Voice span: the channel label is the speaker
+  segment.channel !== undefined ? `<v ${segment.channel}>${cueText(segment)}` : cueText(segment),
+].join('\n'))].join('\n\n') + '\n';
+
+module.exports = {
+  toSrt,
+  toVtt,
+};
@@ -0,0 +1,66 @@
+// Retention of the session recordings (pruneRecordings) on a scratch directory
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pruneRecordings, MANIFEST_FILE } = require('../segment_recorder');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('pruneRecordings', () => {
+  let root;
+
+  // Directory (with a file inside) last modified daysAgo days ago
+  const makeDirectory = (name, { daysAgo = 0, manifest = true } = {}) => {
+    const directory = path.join(root, name);
+    fs.mkdirSync(directory, { recursive: true });
+    fs.writeFileSync(path.join(directory, manifest ? MANIFEST_FILE : 'index.js'), '{}\n');
+    const time = new Date(Date.now() - daysAgo * DAY_MS);
+    fs.utimesSync(directory, time, time);
+    return directory;
+  };
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'recordings-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('deletes the session directories past the age limit', async () => {
+    makeDirectory('20260101T120000Z_old-call', { daysAgo: 10 });
+    makeDirectory('20260110T120000Z_new-call', { daysAgo: 1 });
+
+    assert.equal(await pruneRecordings(root, { maxAgeMs: 7 * DAY_MS }), 1);
+    assert.deepEqual(fs.readdirSync(root), ['20260110T120000Z_new-call']);
+  });
+
+  it('keeps the oldest sessions within maxSessions', async () => {
+    makeDirectory('20260101T120000Z_a', { daysAgo: 3 });
+    makeDirectory('20260102T120000Z_b', { daysAgo: 2 });
+    makeDirectory('20260103T120000Z_c', { daysAgo: 1 });
+
+    assert.equal(await pruneRecordings(root, { maxSessions: 2 }), 1);
+    assert.deepEqual(fs.readdirSync(root).sort(), ['20260102T120000Z_b', '20260103T120000Z_c']);
+  });
+
+  it('leaves the directories the recorder did not create', async () => {
+    makeDirectory('node_modules', { daysAgo: 30, manifest: false });
+    makeDirectory('config', { daysAgo: 30 });
+    makeDirectory('20260101T120000Z_no-manifest', { daysAgo: 30, manifest: false });
+    fs.writeFileSync(path.join(root, 'notes.txt'), 'kept\n');
+    makeDirectory('20260101T120000Z_call', { daysAgo: 30 });
+
+    assert.equal(await pruneRecordings(root, { maxAgeMs: 7 * DAY_MS, maxSessions: 1, maxBytes: 1 }), 1);
+    assert.deepEqual(fs.readdirSync(root).sort(), ['20260101T120000Z_no-manifest', 'config', 'node_modules', 'notes.txt']);
+  });
+
+  it('does nothing without limits or without a directory', async () => {
+    makeDirectory('20260101T120000Z_call', { daysAgo: 30 });
+    assert.equal(await pruneRecordings(root, {}), 0);
+    assert.equal(await pruneRecordings(path.join(root, 'missing'), { maxSessions: 1 }), 0);
+    assert.deepEqual(fs.readdirSync(root), ['20260101T120000Z_call']);
+  });
+});
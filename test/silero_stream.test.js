@@ -0,0 +1,224 @@
+// Speech decisions of SileroVADStream, driven by scripted probabilities instead of the model
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('events');
+const SileroVADStream = require('../silero_stream');
+const { Logger } = require('../logger');
+
+const FRAME_SIZE = 512; // Samples per VAD frame (32ms at 16kHz)
+const FRAME_MS = 32;
+
+// Fake InferenceSessionPool (see vad_model.js): returns the probabilities in order, one per frame
+const scriptedPool = (probabilities) => {
+  let frame = 0;
+  return {
+    run: async ({ state }) => ({ output: { data: [probabilities[frame++] ?? 0] }, stateN: state }),
+  };
+};
+
+// One frame of audio per probability, every sample of a frame holds the frame index,
+// so the first sample of a segment's audio tells which frame it starts at
+const framesAudio = (count) => {
+  const buffer = Buffer.alloc(count * FRAME_SIZE * 2);
+  for (let i = 0; i < count * FRAME_SIZE; i++) {
+    buffer.writeInt16LE(Math.floor(i / FRAME_SIZE), i * 2);
+  }
+  return buffer;
+};
+
+/**
+ * Runs the probabilities through a stream and returns its start and end events.
+ * @param {number[]} probabilities Model output of each frame
+ * @param {object} [options] SileroVADStream options (no padding and 2 silence frames by default)
+ * @param {(stream: SileroVADStream) => void} [beforeEnd] Called once all frames are processed
+ * @returns {Promise<object[]>} The speech fields, plus firstFrame (first frame of the audio, null without audio) on end events
+ */
+const runProbabilities = async (probabilities, options = {}, beforeEnd = () => {}) => {
+  const stream = new SileroVADStream({
+    modelPool: scriptedPool(probabilities),
+    logger: new Logger({}, { level: 'error', output: null }),
+    speechPadMs: 0,
+    minSilenceDurationMs: 2 * FRAME_MS,
+    ...options,
+  });
+  const events = [];
+  stream.on('data', ({ speech, audioData }) => {
+    if (speech.start) {
+      events.push(speech);
+    } else if (speech.end) {
+      events.push({ ...speech, firstFrame: audioData.length > 0 ? audioData.readInt16LE(0) : null });
+    }
+  });
+  await new Promise((resolve, reject) => stream.write(framesAudio(probabilities.length), (err) => (err ? reject(err) : resolve())));
+  beforeEnd(stream);
+  stream.end();
+  await once(stream, 'end');
+  return events;
+};
+
+const segments = (events) => events.filter((event) => event.end).map(({ startMs, endMs, reason }) => ({ startMs, endMs, reason }));
+
+describe('SileroVADStream hysteresis', () => {
+  it('keeps speaking on frames between negThreshold and threshold', async () => {
+    const events = await runProbabilities([0.9, 0.9, 0.4, 0.4, 0.4, 0.9, 0.2, 0.2, 0], { threshold: 0.5, negThreshold: 0.3 });
+    assert.deepEqual(segments(events), [{ startMs: 0, endMs: 6 * FRAME_MS, reason: 'silence' }]);
+  });
+
+  it('ends speech on frames below negThreshold', async () => {
+    const events = await runProbabilities([0.9, 0.9, 0.4, 0.4, 0.4, 0.9, 0.2, 0.2, 0], { threshold: 0.5, negThreshold: 0.45 });
+    assert.deepEqual(segments(events), [
+      { startMs: 0, endMs: 2 * FRAME_MS, reason: 'silence' },
+      { startMs: 5 * FRAME_MS, endMs: 6 * FRAME_MS, reason: 'silence' },
+    ]);
+  });
+
+  it('counts frames in the band as silence once silence has started', async () => {
+    const events = await runProbabilities([0.9, 0.2, 0.4, 0.4, 0, 0], {
+      threshold: 0.5,
+      negThreshold: 0.3,
+      minSilenceDurationMs: 3 * FRAME_MS,
+    });
+    assert.deepEqual(segments(events), [{ startMs: 0, endMs: FRAME_MS, reason: 'silence' }]);
+  });
+
+  it('defaults negThreshold to threshold - 0.15', () => {
+    const stream = new SileroVADStream({ modelPool: scriptedPool([]), threshold: 0.6 });
+    assert.equal(stream.negThreshold.toFixed(2), '0.45');
+    stream.setThreshold(0.1);
+    assert.equal(stream.negThreshold, 0.01);
+  });
+});
+
+describe('SileroVADStream smoothing', () => {
+  it('does not start speech on a single spike with ema', async () => {
+    const probabilities = [0, 0.8, 0, 0, 0];
+    assert.equal(segments(await runProbabilities(probabilities)).length, 1);
+    assert.deepEqual(await runProbabilities(probabilities, { smoothing: 'ema', smoothingAlpha: 0.5 }), []);
+  });
+
+  it('decides and reports on the ema of the probabilities', async () => {
+    // Smoothed: 0.2, 0.5, 0.65, 0.325, 0.1625
+    const events = await runProbabilities([0.2, 0.8, 0.8, 0, 0, 0], { smoothing: 'ema', smoothingAlpha: 0.5 });
+    assert.deepEqual(events[0], { start: true, probability: 0.5, startMs: FRAME_MS });
+    assert.deepEqual(segments(events), [{ startMs: FRAME_MS, endMs: 3 * FRAME_MS, reason: 'silence' }]);
+    assert.equal(events[1].confidence.toFixed(3), '0.575');
+  });
+
+  it('decides on the moving average of the last smoothingWindow probabilities', async () => {
+    assert.deepEqual(await runProbabilities([0, 0, 0.9, 0, 0], { smoothing: 'moving_average', smoothingWindow: 3 }), []);
+
+    // Averages: 0, 0.45, 0.6, 0.9, 0.6, 0.3, 0
+    const events = await runProbabilities([0, 0.9, 0.9, 0.9, 0, 0, 0], { smoothing: 'moving_average', smoothingWindow: 3 });
+    assert.equal(events[0].startMs, 2 * FRAME_MS);
+    assert.equal(events[0].probability.toFixed(2), '0.60');
+    assert.deepEqual(segments(events), [{ startMs: 2 * FRAME_MS, endMs: 5 * FRAME_MS, reason: 'silence' }]);
+    assert.equal(events[1].confidence.toFixed(2), '0.70');
+  });
+
+  it('rejects invalid smoothing options', () => {
+    assert.throws(() => new SileroVADStream({ modelPool: scriptedPool([]), smoothing: 'median' }), /Invalid smoothing mode/);
+    assert.throws(() => new SileroVADStream({ modelPool: scriptedPool([]), smoothingAlpha: 2 }), /Invalid smoothingAlpha/);
+    assert.throws(() => new SileroVADStream({ modelPool: scriptedPool([]), smoothingWindow: 1.5 }), /Invalid smoothingWindow/);
+  });
+});
+
+describe('SileroVADStream speech onset frames', () => {
+  it('restarts the onset count after a dip', async () => {
+    const events = await runProbabilities([0.9, 0.9, 0.2, 0.9, 0.9, 0.9, 0.9, 0, 0], { speechOnsetFrames: 3 });
+    assert.deepEqual(events[0], { start: true, probability: 0.9, startMs: 3 * FRAME_MS });
+    assert.deepEqual(segments(events), [{ startMs: 3 * FRAME_MS, endMs: 7 * FRAME_MS, reason: 'silence' }]);
+  });
+
+  it('does not start speech on fewer onset frames', async () => {
+    assert.deepEqual(await runProbabilities([0.9, 0.9, 0.2, 0.9, 0.9, 0], { speechOnsetFrames: 3 }), []);
+  });
+
+  it('keeps the onset frames in the segment audio without padding', async () => {
+    const events = await runProbabilities([0.9, 0.9, 0.2, 0.9, 0.9, 0.9, 0.9, 0, 0], { speechOnsetFrames: 3 });
+    const end = events.find((event) => event.end);
+    assert.equal(end.firstFrame, 3);
+    assert.equal(end.startSample, 3 * FRAME_SIZE);
+    assert.equal(end.endSample, 7 * FRAME_SIZE);
+    assert.equal(end.confidence.toFixed(2), '0.90');
+  });
+
+  it('keeps speechPadMs of pre-roll before the onset frames', async () => {
+    const events = await runProbabilities([0, 0, 0.2, 0.9, 0.9, 0.9, 0.9, 0, 0], { speechOnsetFrames: 3, speechPadMs: 2 * FRAME_MS });
+    const end = events.find((event) => event.end);
+    assert.equal(end.startMs, 3 * FRAME_MS);
+    assert.equal(end.firstFrame, 1);
+    assert.equal(end.startSample, FRAME_SIZE);
+  });
+});
+
+describe('SileroVADStream segment ends', () => {
+  it('locates the segment of a forced end at the stream end', async () => {
+    const events = await runProbabilities([0.9, 0.9, 0.9]);
+    const end = events.find((event) => event.end);
+    assert.equal(end.reason, 'stream_end');
+    assert.equal(end.startSample, 0);
+    assert.equal(end.endSample, 3 * FRAME_SIZE);
+    assert.equal(end.confidence.toFixed(2), '0.90');
+  });
+
+  it('locates the segment of a flush', async () => {
+    const events = await runProbabilities([0, 0, 0.9, 0.9, 0.6], {}, (stream) => assert.ok(stream.flushSpeech()));
+    const end = events.find((event) => event.end);
+    assert.deepEqual(segments(events), [{ startMs: 2 * FRAME_MS, endMs: 5 * FRAME_MS, reason: 'flush' }]);
+    assert.equal(end.firstFrame, 2);
+    assert.equal(end.endSample, 5 * FRAME_SIZE);
+    assert.equal(end.confidence.toFixed(2), '0.80');
+  });
+
+  it('splits a segment reaching maxSpeechDurationMs at its least speech-like frame', async () => {
+    const events = await runProbabilities([0, ...Array(12).fill(0.9), 0.2, 0.9, 0.9, 0, 0], {
+      maxSpeechDurationMs: 15 * FRAME_MS,
+      maxSpeechCutWindowMs: 6 * FRAME_MS,
+    });
+    assert.deepEqual(segments(events), [
+      { startMs: FRAME_MS, endMs: 14 * FRAME_MS, reason: 'max_duration' },
+      { startMs: 14 * FRAME_MS, endMs: 16 * FRAME_MS, reason: 'silence' },
+    ]);
+  });
+
+  it('splits constant speech with padding on both sides of each cut', async () => {
+    const events = await runProbabilities(Array(30).fill(0.9), {
+      speechPadMs: 2 * FRAME_MS,
+      maxSpeechDurationMs: 10 * FRAME_MS,
+      maxSpeechCutWindowMs: 4 * FRAME_MS,
+    });
+    assert.deepEqual(segments(events), [
+      { startMs: 0, endMs: 7 * FRAME_MS, reason: 'max_duration' },
+      { startMs: 7 * FRAME_MS, endMs: 14 * FRAME_MS, reason: 'max_duration' },
+      { startMs: 14 * FRAME_MS, endMs: 21 * FRAME_MS, reason: 'max_duration' },
+      { startMs: 21 * FRAME_MS, endMs: 30 * FRAME_MS, reason: 'stream_end' },
+    ]);
+    const ends = events.filter((event) => event.end);
+    assert.deepEqual(ends.map((end) => end.firstFrame), [0, 5, 12, 19]);
+    assert.deepEqual(ends.map((end) => end.endSample / FRAME_SIZE), [9, 16, 23, 30]);
+  });
+
+  it('ends the segment when the max duration cut falls in its trailing silence', async () => {
+    const events = await runProbabilities([0, 0, ...Array(7).fill(0.9), 0.3, ...Array(10).fill(0.1)], {
+      speechPadMs: 100,
+      minSilenceDurationMs: 200,
+      maxSpeechDurationMs: 300,
+      maxSpeechCutWindowMs: 100,
+    });
+    assert.equal(events.filter((event) => event.start).length, 1);
+    assert.deepEqual(segments(events), [{ startMs: 2 * FRAME_MS, endMs: 9 * FRAME_MS, reason: 'max_duration' }]);
+  });
+
+  it('ends the segment in progress without audio on a reset', async () => {
+    const events = await runProbabilities([0, 0.9, 0.9, 0.9], {}, (stream) => stream.resetState());
+    assert.deepEqual(segments(events), [{ startMs: FRAME_MS, endMs: 4 * FRAME_MS, reason: 'reset' }]);
+    const end = events.find((event) => event.end);
+    assert.equal(end.firstFrame, null);
+    assert.equal(end.startSample, undefined);
+  });
+
+  it('sends a segment still collecting its padding before a reset', async () => {
+    const events = await runProbabilities([0.9, 0.9, 0.1, 0.1, 0.1], { speechPadMs: 200 }, (stream) => stream.resetState());
+    assert.deepEqual(segments(events), [{ startMs: 0, endMs: 2 * FRAME_MS, reason: 'silence' }]);
+  });
+});
@@ -0,0 +1,122 @@
+// Requests sent by the STT adapters and mapping of the responses, against a local stub server
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { once } = require('events');
+const { createSttAdapter } = require('../stt_adapters');
+const { WAV_HEADER_SIZE } = require('../wav');
+
+// 100 samples of 16-bit PCM
+const AUDIO = Buffer.from(Array.from({ length: 200 }, (_, i) => i % 256));
+
+/**
+ * Stub STT endpoint: records every request and answers with the JSON body set in `response`.
+ * @returns {Promise<{ url: string, requests: object[], response: { body: any }, close: () => Promise<void> }>}
+ */
+const startStub = async () => {
+  const requests = [];
+  const response = { body: {} };
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body: Buffer.concat(chunks) });
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(response.body));
+    });
+  });
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  return {
+    url: `http://127.0.0.1:${server.address().port}/transcribe`,
+    requests,
+    response,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+};
+
+describe('STT adapters', () => {
+  let stub;
+  before(async () => {
+    stub = await startStub();
+  });
+  after(() => stub.close());
+
+  it('raw: posts the PCM as is with X-Sample-Rate', async () => {
+    stub.response.body = { transcription: 'hello' };
+    const adapter = createSttAdapter('raw', { url: stub.url, headers: { 'X-Api-Key': 'secret' } });
+    const result = await adapter.transcribe(AUDIO, { sampleRate: 8000 });
+
+    assert.deepEqual(result, { text: 'hello', status: 200 });
+    const request = stub.requests.at(-1);
+    assert.equal(request.method, 'POST');
+    assert.equal(request.url, '/transcribe');
+    assert.equal(request.headers['content-type'], 'application/octet-stream');
+    assert.equal(request.headers['x-sample-rate'], '8000');
+    assert.equal(request.headers['x-api-key'], 'secret');
+    assert.deepEqual(request.body, AUDIO);
+  });
+
+  it('whisper: uploads a WAV file with the model and language fields', async () => {
+    stub.response.body = { text: 'bonjour' };
+    const adapter = createSttAdapter('whisper', { url: stub.url, apiKey: 'key', model: 'whisper-1', language: 'fr' });
+    const result = await adapter.transcribe(AUDIO, { sampleRate: 16000 });
+
+    assert.deepEqual(result, { text: 'bonjour', status: 200 });
+    const request = stub.requests.at(-1);
+    assert.equal(request.headers.authorization, 'Bearer key');
+    assert.match(request.headers['content-type'], /^multipart\/form-data; boundary=/);
+    const form = await new Response(request.body, { headers: { 'Content-Type': request.headers['content-type'] } }).formData();
+    assert.equal(form.get('model'), 'whisper-1');
+    assert.equal(form.get('language'), 'fr');
+
+    const file = form.get('file');
+    assert.equal(file.name, 'audio.wav');
+    assert.equal(file.type, 'audio/wav');
+    const wav = Buffer.from(await file.arrayBuffer());
+    assert.equal(wav.toString('ascii', 0, 4), 'RIFF');
+    assert.equal(wav.toString('ascii', 8, 12), 'WAVE');
+    assert.equal(wav.readUInt16LE(22), 1); // Channels
+    assert.equal(wav.readUInt32LE(24), 16000); // Sample rate
+    assert.equal(wav.readUInt16LE(34), 16); // Bits per sample
+    assert.equal(wav.readUInt32LE(40), AUDIO.length); // Data size
+    assert.deepEqual(wav.subarray(WAV_HEADER_SIZE), AUDIO);
+  });
+
+  it('json: posts the PCM as base64 with its format', async () => {
+    stub.response.body = { transcription: 'hola' };
+    const adapter = createSttAdapter('json', { url: stub.url, model: 'general', language: 'es' });
+    const result = await adapter.transcribe(AUDIO, { sampleRate: 16000 });
+
+    assert.deepEqual(result, { text: 'hola', status: 200 });
+    const request = stub.requests.at(-1);
+    assert.equal(request.headers['content-type'], 'application/json');
+    assert.equal(request.headers.authorization, undefined);
+    assert.deepEqual(JSON.parse(request.body), {
+      audio: AUDIO.toString('base64'),
+      sampleRate: 16000,
+      encoding: 'LINEAR16',
+      channels: 1,
+      model: 'general',
+      language: 'es',
+    });
+  });
+
+  it('maps a dotted responseField', async () => {
+    stub.response.body = { results: [{ alternatives: [{ transcript: 'nested' }] }] };
+    const adapter = createSttAdapter('json', { url: stub.url, responseField: 'results.0.alternatives.0.transcript' });
+    assert.deepEqual(await adapter.transcribe(AUDIO, { sampleRate: 16000 }), { text: 'nested', status: 200 });
+  });
+
+  it('returns null text when the response field is missing or not a string', async () => {
+    const adapter = createSttAdapter('raw', { url: stub.url, responseField: 'result.text' });
+    stub.response.body = { transcription: 'ignored' };
+    assert.deepEqual(await adapter.transcribe(AUDIO, { sampleRate: 16000 }), { text: null, status: 200 });
+    stub.response.body = { result: { text: 42 } };
+    assert.deepEqual(await adapter.transcribe(AUDIO, { sampleRate: 16000 }), { text: null, status: 200 });
+  });
+
+  it('rejects an unknown provider', () => {
+    assert.throws(() => createSttAdapter('grpc', { url: stub.url }), /Unknown STT provider: grpc/);
+  });
+});
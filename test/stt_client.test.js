@@ -0,0 +1,58 @@
+// SttClient option checks and errors, against a local stub server
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { once } = require('events');
+const { SttClient, SttError, STT_ERROR_CODES } = require('../stt_client');
+const { createSttAdapter } = require('../stt_adapters');
+
+const AUDIO = Buffer.alloc(320);
+
+describe('SttClient', () => {
+  let server;
+  let url;
+  before(async () => {
+    // Answers after the delay given in the path (e.g. /delay/500)
+    server = http.createServer((req, res) => {
+      req.resume();
+      const delay = Number(req.url.split('/')[2] || 0);
+      setTimeout(() => res.end(JSON.stringify({ transcription: 'ok' })), delay);
+    });
+    server.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    url = `http://127.0.0.1:${server.address().port}`;
+  });
+  after(() => new Promise((resolve) => {
+    server.closeAllConnections();
+    server.close(resolve);
+  }));
+
+  it('rejects invalid numeric options', () => {
+    assert.throws(() => new SttClient({ urls: [url], retries: NaN }), /invalid retries NaN/);
+    assert.throws(() => new SttClient({ urls: [url], timeoutMs: -1 }), /invalid timeoutMs/);
+    assert.throws(() => new SttClient({ urls: [url], breakerFailureThreshold: 0 }), /invalid breakerFailureThreshold/);
+  });
+
+  it('transcribes through the adapter', async () => {
+    const client = new SttClient({ urls: [`${url}/delay/0`] });
+    const result = await client.transcribe(createSttAdapter('raw', {}), AUDIO, { sampleRate: 16000 });
+    assert.deepEqual(result, { text: 'ok', status: 200, url: `${url}/delay/0`, attempts: 1 });
+  });
+
+  it('rejects with an SttError for invalid per-call retries', async () => {
+    const client = new SttClient({ urls: [`${url}/delay/0`] });
+    const err = await client.transcribe(createSttAdapter('raw', {}), AUDIO, { sampleRate: 16000, retries: NaN }).catch((error) => error);
+    assert.ok(err instanceof SttError);
+    assert.match(err.message, /Invalid retries/);
+  });
+
+  it('rejects with an stt_aborted SttError when the caller aborts', async () => {
+    const client = new SttClient({ urls: [`${url}/delay/1000`] });
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 50);
+    const err = await client.transcribe(createSttAdapter('raw', {}), AUDIO, { sampleRate: 16000, signal: controller.signal }).catch((error) => error);
+    assert.ok(err instanceof SttError);
+    assert.equal(err.code, STT_ERROR_CODES.ABORTED);
+    assert.equal(err.attempts, 1);
+  });
+});
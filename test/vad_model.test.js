@@ -0,0 +1,39 @@
+// InferenceSessionPool scheduling and metrics, with fake ONNX sessions
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { InferenceSessionPool } = require('../vad_model');
+const metrics = require('../metrics');
+
+// Fake InferenceSession answering after delayMs
+const fakeSession = (delayMs) => ({
+  run: (feeds) => new Promise((resolve) => setTimeout(() => resolve({ feeds }), delayMs)),
+});
+
+const histogram = async (metric) => {
+  const { values } = await metric.get();
+  return {
+    count: values.find((value) => value.metricName.endsWith('_count')).value,
+    sum: values.find((value) => value.metricName.endsWith('_sum')).value,
+  };
+};
+
+describe('InferenceSessionPool', () => {
+  it('queues the runs beyond the pool size and times inference apart from the wait', async () => {
+    metrics.inferenceDuration.reset();
+    metrics.inferenceQueueWait.reset();
+    const pool = new InferenceSessionPool({ modelPath: 'unused.onnx', size: 1 });
+    pool.idle = [fakeSession(100)];
+
+    const first = pool.run({ frame: 1 });
+    const second = pool.run({ frame: 2 });
+    assert.equal(pool.pending, 1);
+    assert.deepEqual(await Promise.all([first, second]), [{ feeds: { frame: 1 } }, { feeds: { frame: 2 } }]);
+
+    const inference = await histogram(metrics.inferenceDuration);
+    const wait = await histogram(metrics.inferenceQueueWait);
+    assert.equal(inference.count, 2);
+    assert.equal(wait.count, 2);
+    assert.ok(inference.sum >= 0.19 && inference.sum < 0.28, `inference ${inference.sum}s`);
+    assert.ok(wait.sum >= 0.095, `queue wait ${wait.sum}s`); // The second run waited for the first
+  });
+});
@@ -0,0 +1,69 @@
+// VadSession control messages, with a scripted model and a fake STT client
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('events');
+const VadSession = require('../vad_session');
+const { Logger } = require('../logger');
+
+const FRAME_BYTES = 1024; // 512 samples of 16-bit PCM at 16kHz
+
+// Fake InferenceSessionPool (see vad_model.js): returns the probabilities in order, one per frame
+const scriptedPool = (probabilities) => {
+  let frame = 0;
+  return {
+    run: async ({ state }) => ({ output: { data: [probabilities[frame++] ?? 0] }, stateN: state }),
+  };
+};
+
+const createSession = (probabilities, options = {}) => {
+  const transcribed = [];
+  const session = new VadSession({
+    sessionId: 'test-session',
+    sttAdapter: { provider: 'fake' },
+    sttClient: {
+      transcribe: async (adapter, audio) => {
+        transcribed.push(audio.length);
+        return { text: 'hello', status: 200, url: 'http://stt', attempts: 1 };
+      },
+    },
+    minSpeechDurationMs: 0,
+    sttConcurrency: 1,
+    inputFormat: { encoding: 's16le', sampleRate: 16000, channels: 1, channelMode: 'mix', channelLabels: [] },
+    logger: new Logger({}, { level: 'error', output: null }),
+    vadOptions: { modelPool: scriptedPool(probabilities), speechPadMs: 0, minSilenceDurationMs: 64 },
+    ...options,
+  });
+  const events = [];
+  session.on('event', (event) => events.push(event));
+  return { session, events, transcribed };
+};
+
+describe('VadSession controls', () => {
+  it('ends the utterance dropped by a reset without transcribing it', async () => {
+    const { session, events, transcribed } = createSession([0.9, 0.9, 0.9, 0.9, 0.9, 0, 0]);
+    session.write(Buffer.alloc(3 * FRAME_BYTES));
+    await session.reset();
+    session.write(Buffer.alloc(4 * FRAME_BYTES));
+    session.end();
+    await once(session, 'done');
+
+    assert.deepEqual(events.map(({ type, segmentId, reason }) => ({ type, segmentId, ...(reason ? { reason } : {}) })), [
+      { type: 'speech_start', segmentId: 1 },
+      { type: 'speech_end', segmentId: 1, reason: 'reset' },
+      { type: 'speech_start', segmentId: 2 },
+      { type: 'speech_end', segmentId: 2, reason: 'silence' },
+      { type: 'transcript', segmentId: 2 },
+    ]);
+    assert.deepEqual(transcribed, [2 * FRAME_BYTES]);
+  });
+
+  it('clamps set_threshold to the admin bounds', async () => {
+    const { session } = createSession([], { thresholdBounds: { min: 0.1, max: 0.9 } });
+    assert.equal(await session.setThreshold(0.99), 0.9);
+    assert.equal(await session.setThreshold(0.4), 0.4);
+    assert.equal(session.vadOptions.threshold, 0.4);
+    assert.throws(() => session.setThreshold(2), /Invalid threshold/);
+    session.end();
+    await once(session, 'done');
+  });
+});
@@ -0,0 +1,119 @@
+// Webhook deliveries against a local stub receiver
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { once } = require('events');
+const { WebhookNotifier } = require('../webhook_notifier');
+const metrics = require('../metrics');
+const { logger } = require('../logger');
+
+logger.configure({ level: 'error' }); // Failed deliveries are logged as warnings
+
+const event = (type, fields = {}) => ({
+  type,
+  sessionId: 'call-1',
+  transport: 'websocket',
+  segmentId: 1,
+  timestamp: new Date().toISOString(),
+  ...fields,
+});
+
+// Resolves once condition() is true, polling every 10ms
+const waitFor = async (condition, timeoutMs = 2000) => {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeoutMs) {
+      throw new Error('Timed out waiting for the condition');
+    }
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+};
+
+const deliveries = async (outcome) => {
+  const { values } = await metrics.webhookDeliveries.get();
+  return values.filter((value) => value.labels.outcome === outcome).reduce((total, value) => total + value.value, 0);
+};
+
+describe('WebhookNotifier', () => {
+  let server;
+  let url;
+  let received;
+  let delayMs;
+
+  before(async () => {
+    // Stub receiver: records every delivery, answers 204 after delayMs
+    server = http.createServer((req, res) => {
+      const chunks = [];
+      req.on('data', (chunk) => chunks.push(chunk));
+      req.on('end', () => {
+        received.push({ url: req.url, headers: req.headers, body: JSON.parse(Buffer.concat(chunks).toString('utf8')) });
+        setTimeout(() => {
+          res.statusCode = 204;
+          res.end();
+        }, delayMs);
+      });
+    });
+    server.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    url = `http://127.0.0.1:${server.address().port}/events`;
+  });
+
+  after(() => new Promise((resolve) => {
+    server.closeAllConnections();
+    server.close(resolve);
+  }));
+
+  beforeEach(() => {
+    received = [];
+    delayMs = 0;
+    metrics.webhookDeliveries.reset();
+  });
+
+  it('posts the event with the call id and event type headers', async () => {
+    const notifier = new WebhookNotifier({ urls: [url], events: ['speech_start'], transports: ['websocket'] });
+    const payload = event('speech_start', { startMs: 320, probability: 0.9 });
+    notifier.notify(payload);
+    await waitFor(() => notifier.inFlight === 0);
+
+    assert.equal(received.length, 1);
+    assert.equal(received[0].url, '/events');
+    assert.equal(received[0].headers['content-type'], 'application/json');
+    assert.equal(received[0].headers['x-call-id'], 'call-1');
+    assert.equal(received[0].headers['x-event-type'], 'speech_start');
+    assert.deepEqual(received[0].body, payload);
+    assert.equal(await deliveries('delivered'), 1);
+  });
+
+  it('only delivers the configured transports', async () => {
+    const notifier = new WebhookNotifier({ urls: [url], events: ['speech_start'], transports: ['websocket'] });
+    notifier.notify(event('speech_start', { transport: 'batch' }));
+    assert.equal(notifier.inFlight, 0);
+  });
+
+  it('gives up on a slow receiver after the timeout, without blocking notify()', async () => {
+    delayMs = 1000;
+    const notifier = new WebhookNotifier({ urls: [url], events: ['speech_end'], transports: ['websocket'], timeoutMs: 100 });
+    const start = Date.now();
+    notifier.notify(event('speech_end'));
+    assert.ok(Date.now() - start < 50, 'notify() returned at once');
+    assert.equal(notifier.inFlight, 1);
+
+    await waitFor(() => notifier.inFlight === 0);
+    assert.ok(Date.now() - start < 900, 'the delivery ended at the timeout');
+    assert.equal(await deliveries('failed'), 1);
+  });
+
+  it('drops the events beyond maxInFlight pending deliveries', async () => {
+    delayMs = 200;
+    const notifier = new WebhookNotifier({ urls: [url], events: ['transcript'], transports: ['websocket'], maxInFlight: 2 });
+    notifier.notify(event('transcript', { segmentId: 1 }));
+    notifier.notify(event('transcript', { segmentId: 2 }));
+    notifier.notify(event('transcript', { segmentId: 3 }));
+    assert.equal(notifier.inFlight, 2);
+    assert.equal(await deliveries('dropped'), 1);
+
+    await waitFor(() => notifier.inFlight === 0);
+    assert.deepEqual(received.map((delivery) => delivery.body.segmentId).sort(), [1, 2]);
+    assert.equal(await deliveries('delivered'), 2);
+  });
+});
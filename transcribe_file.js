@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+// Command-line batch transcription: runs a recording through the VAD + STT pipeline, with the
+// service configuration (environment / .env), and prints its segments as JSON, SRT or WebVTT.
+//
+// Usage: node transcribe_file.js <file> [--format json|srt|vtt] [--vad-only] [--output <file>]
+//                                [--<parameter> <value>]...
+// Other parameters are the query parameters of the HTTP endpoints (encoding, sample_rate,
+// channels, channel_mode, channel_labels, profile, threshold, stt...), dashes or underscores,
+// e.g. --channel-mode separate. Files ending in .wav are read as WAV unless --encoding is given.
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+
+const { logger } = require('./logger');
+
+// Logs go to stderr, stdout only carries the result; only warnings by default
+logger.configure({ output: process.stderr, level: process.env.LOG_LEVEL ? logger.level : 'warn' });
+
+const { resolveRequestParams, getSessionOptions } = require('./service_config');
+const { BATCH_OUTPUT_FORMATS, transcribeRecording, renderTranscription } = require('./batch_transcriber');
+
+const USAGE = `Usage: node transcribe_file.js <file> [--format ${BATCH_OUTPUT_FORMATS.join('|')}] [--vad-only] [--output <file>] [--<parameter> <value>]...`;
+
+const parseArgs = (argv) => {
+  const args = { file: null, format: 'json', vadOnly: false, output: null, params: new URLSearchParams() };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      if (args.file) {
+        throw new Error(`Unexpected argument: ${arg}`);
+      }
+      args.file = arg;
+      continue;
+    }
+    const name = arg.slice(2).replace(/-/g, '_');
+    if (name === 'vad_only') {
+      args.vadOnly = true;
+      continue;
+    }
+    if (name === 'help') {
+      args.help = true;
+      continue;
+    }
+    const value = argv[++i];
+    if (value === undefined) {
+      throw new Error(`Missing value for ${arg}`);
+    }
+    if (name === 'format') {
+      args.format = value;
+    } else if (name === 'output') {
+      args.output = value;
+    } else {
+      args.params.set(name, value);
+    }
+  }
+  return args;
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help || !args.file) {
+    console.error(USAGE);
+    process.exit(args.help ? 0 : 1);
+  }
+  if (!BATCH_OUTPUT_FORMATS.includes(args.format)) {
+    throw new Error(`Unsupported output format: ${args.format} (supported: ${BATCH_OUTPUT_FORMATS.join(', ')})`);
+  }
+  if (!args.params.has('encoding') && path.extname(args.file).toLowerCase() === '.wav') {
+    args.params.set('encoding', 'wav');
+  }
+
+  // Same parameter resolution as an HTTP request
+  const params = resolveRequestParams({ url: `/?${args.params}`, headers: {} });
+  const result = await transcribeRecording(fs.createReadStream(args.file), { ...getSessionOptions(params, 'batch'), vadOnly: args.vadOnly });
+
+  const { body } = renderTranscription(result, args.format);
+  if (args.output) {
+    fs.writeFileSync(args.output, body);
+    console.error(`${result.segments.length} segment(s) written to ${args.output}`);
+  } else {
+    process.stdout.write(body);
+  }
+};
+
+main().catch((err) => {
+  console.error(`Error: ${err.message}`);
+  process.exit(1);
+});
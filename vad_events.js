@@ -0,0 +1,16 @@
+// Process-wide feed of the speech and transcript events of every session, for code embedding
+// the service (e.g. stopping TTS playback on barge-in) and for the webhooks (see webhook_notifier.js).
+// Events are emitted synchronously, as they are sent to the client, under their type:
+//   vadEvents.on('speech_start', ({ sessionId, transport, segmentId, startMs, probability, timestamp }) => ...)
+// The payload is the client event (see README, Output Formats) plus the session transport.
+const { EventEmitter } = require('events');
+
+const PUBLISHED_EVENT_TYPES = ['speech_start', 'speech_end', 'transcript'];
+
+const vadEvents = new EventEmitter();
+vadEvents.setMaxListeners(0); // Any number of subscribers
+
+module.exports = {
+  vadEvents,
+  PUBLISHED_EVENT_TYPES,
+};
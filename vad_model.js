@@ -0,0 +1,86 @@
+// Shared Silero VAD model: loaded once per (model path, execution provider) and used by every
+// SileroVADStream. Streams only keep their own recurrent state tensors.
+const ort = require('onnxruntime-node');
+const metrics = require('./metrics');
+
+/**
+ * A fixed set of ONNX inference sessions for one model.
+ * run() requests are queued (FIFO) and dispatched to an idle session, so the
+ * number of concurrent inferences is bounded by the pool size whatever the
+ * number of streams, and every stream gets its turn.
+ */
+class InferenceSessionPool {
+  constructor({ modelPath, provider = 'cpu', size = 1 }) {
+    this.modelPath = modelPath;
+    this.provider = provider;
+    this.size = Math.max(1, size);
+    this.idle = [];
+    this.waiting = [];
+  }
+
+  async load() {
+    const sessions = await Promise.all(Array.from({ length: this.size }, () =>
+      ort.InferenceSession.create(this.modelPath, {
+        executionProviders: [this.provider],
+        // Optional: Add other session options like graph optimization level
+      })
+    ));
+    this.idle = sessions;
+    return this;
+  }
+
+  // Number of inferences waiting for a free session
+  get pending() {
+    return this.waiting.length;
+  }
+
+  run(feeds) {
+    return new Promise((resolve, reject) => {
+      this.waiting.push({ feeds, resolve, reject, endWaitTimer: metrics.inferenceQueueWait.startTimer() });
+      this._dispatch();
+    });
+  }
+
+  _dispatch() {
+    while (this.idle.length > 0 && this.waiting.length > 0) {
+      const session = this.idle.pop();
+      const job = this.waiting.shift();
+      job.endWaitTimer();
+      const endInferenceTimer = metrics.inferenceDuration.startTimer();
+      session.run(job.feeds)
+        .then(job.resolve, job.reject)
+        .finally(() => {
+          endInferenceTimer();
+          this.idle.push(session);
+          // Inference runs on the main thread: yield to pending I/O before the next one,
+          // otherwise chained promise resolutions could starve the event loop
+          setImmediate(() => this._dispatch());
+        });
+    }
+  }
+}
+
+// Loaded pools, keyed by model path and provider (values are promises)
+const pools = new Map();
+
+/**
+ * Returns the shared pool for a model, loading it on first use.
+ * @param {{ modelPath: string, provider?: string, poolSize?: number }} options
+ *   poolSize only applies to the first call for a given model/provider
+ * @returns {Promise<InferenceSessionPool>} Rejects if the model cannot be loaded
+ */
+const getVadModel = ({ modelPath, provider = 'cpu', poolSize = 1 }) => {
+  const key = `${modelPath}|${provider}`;
+  if (!pools.has(key)) {
+    const loading = new InferenceSessionPool({ modelPath, provider, size: poolSize }).load();
+    // A failed load is not cached, the next stream retries
+    loading.catch(() => pools.delete(key));
+    pools.set(key, loading);
+  }
+  return pools.get(key);
+};
+
+module.exports = {
+  InferenceSessionPool,
+  getVadModel,
+};
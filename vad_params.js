@@ -0,0 +1,141 @@
+// Per-request VAD parameters: environment defaults, optionally overridden by a named
+// profile (?profile= / X-VAD-Profile) and by individual query parameters or X-VAD-* headers.
+// Overrides are validated and clamped to the bounds configured by the administrator
+// in the VAD config file (VAD_CONFIG_FILE).
+const fs = require('fs');
+
+class VadParamsError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'VadParamsError';
+    this.status = 400;
+  }
+}
+
+// Overridable parameters: query parameter, header, environment default, built-in bounds
+// (numbers) or accepted values (strings)
+const PARAMS = {
+  threshold: { query: 'threshold', header: 'x-vad-threshold', env: 'VAD_THRESHOLD', type: 'float', default: 0.2, bounds: { min: 0, max: 1 } },
+  // null: derived from threshold by the VAD stream
+  negThreshold: { query: 'neg_threshold', header: 'x-vad-neg-threshold', env: 'VAD_NEG_THRESHOLD', type: 'float', default: null, bounds: { min: 0, max: 1 } },
+  smoothing: { query: 'smoothing', header: 'x-vad-smoothing', env: 'VAD_SMOOTHING', type: 'string', default: 'none', values: ['none', 'ema', 'moving_average'] },
+  smoothingAlpha: { query: 'smoothing_alpha', header: 'x-vad-smoothing-alpha', env: 'VAD_SMOOTHING_ALPHA', type: 'float', default: 0.5, bounds: { min: 0.01, max: 1 } },
+  smoothingWindow: { query: 'smoothing_window', header: 'x-vad-smoothing-window', env: 'VAD_SMOOTHING_WINDOW', type: 'int', default: 3, bounds: { min: 1, max: 50 } },
+  speechOnsetFrames: { query: 'onset_frames', header: 'x-vad-onset-frames', env: 'VAD_SPEECH_ONSET_FRAMES', type: 'int', default: 1, bounds: { min: 1, max: 50 } },
+  minSilenceMs: { query: 'min_silence_ms', header: 'x-vad-min-silence-ms', env: 'VAD_MIN_SILENCE_MS', type: 'int', default: 500, bounds: { min: 0, max: 10000 } },
+  speechPadMs: { query: 'speech_pad_ms', header: 'x-vad-speech-pad-ms', env: 'VAD_SPEECH_PAD_MS', type: 'int', default: 300, bounds: { min: 0, max: 5000 } },
+  minSpeechDurationMs: { query: 'min_speech_duration_ms', header: 'x-vad-min-speech-duration-ms', env: 'VAD_MIN_SPEECH_DURATION_MS', type: 'int', default: 1000, bounds: { min: 0, max: 60000 } },
+  maxSpeechMs: { query: 'max_speech_ms', header: 'x-vad-max-speech-ms', env: 'VAD_MAX_SPEECH_MS', type: 'int', default: 0, bounds: { min: 0, max: 600000 } },
+  provider: { query: 'onnx_provider', header: 'x-vad-onnx-provider', env: 'ONNX_PROVIDER', type: 'string', default: 'cpu' },
+};
+
+const parseValue = (name, raw) => {
+  const { type, values } = PARAMS[name];
+  if (type === 'string') {
+    const value = String(raw).trim();
+    if (values && !values.includes(value)) {
+      throw new VadParamsError(`Invalid value for ${name}: "${raw}" (expected one of: ${values.join(', ')})`);
+    }
+    return value;
+  }
+  const text = String(raw).trim();
+  const value = type === 'int' ? Number(text) : parseFloat(text);
+  if (text === '' || !Number.isFinite(value) || (type === 'int' && !Number.isInteger(value))) {
+    throw new VadParamsError(`Invalid value for ${name}: "${raw}" (expected ${type === 'int' ? 'an integer' : 'a number'})`);
+  }
+  return value;
+};
+
+const clamp = (value, { min, max }) => Math.min(max, Math.max(min, value));
+
+/**
+ * Loads the admin configuration. Without a file, built-in bounds apply, no profile
+ * is defined and only the default ONNX provider is allowed.
+ * File format (JSON):
+ * {
+ *   "bounds": { "threshold": { "min": 0.1, "max": 0.9 }, ... },
+ *   "profiles": { "noisy": { "threshold": 0.6, "minSilenceMs": 700 }, ... },
+ *   "allowedProviders": ["cpu", "cuda"]
+ * }
+ * Throws on an unreadable or invalid file (checked once at startup).
+ */
+const loadVadConfig = (configPath) => {
+  const defaults = Object.fromEntries(
+    Object.entries(PARAMS).map(([name, param]) => [name, process.env[param.env] !== undefined ? parseValue(name, process.env[param.env]) : param.default])
+  );
+  const config = {
+    defaults,
+    bounds: Object.fromEntries(Object.entries(PARAMS).filter(([, param]) => param.bounds).map(([name, param]) => [name, { ...param.bounds }])),
+    profiles: {},
+    allowedProviders: [defaults.provider],
+  };
+  if (!configPath) {
+    return config;
+  }
+
+  const file = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  for (const [name, bounds] of Object.entries(file.bounds || {})) {
+    if (!config.bounds[name] || typeof bounds.min !== 'number' || typeof bounds.max !== 'number' || bounds.min > bounds.max) {
+      throw new Error(`Invalid bounds for ${name} in ${configPath}`);
+    }
+    config.bounds[name] = { min: bounds.min, max: bounds.max };
+  }
+  if (file.allowedProviders) {
+    config.allowedProviders = Array.from(new Set([defaults.provider, ...file.allowedProviders]));
+  }
+  for (const [profileName, profile] of Object.entries(file.profiles || {})) {
+    config.profiles[profileName] = {};
+    for (const [name, raw] of Object.entries(profile)) {
+      if (!PARAMS[name]) {
+        throw new Error(`Unknown parameter ${name} in profile ${profileName} of ${configPath}`);
+      }
+      config.profiles[profileName][name] = parseValue(name, raw);
+    }
+  }
+  return config;
+};
+
+/**
+ * Resolves the VAD parameters of a request (HTTP or WebSocket upgrade).
+ * Precedence: environment defaults < profile < X-VAD-* header < query parameter.
+ * @returns {{ threshold: number, negThreshold: number|null, smoothing: string, smoothingAlpha: number,
+ *   smoothingWindow: number, speechOnsetFrames: number, minSilenceMs: number, speechPadMs: number, minSpeechDurationMs: number, maxSpeechMs: number, provider: string, profile: string|null }}
+ * @throws {VadParamsError} On an unknown profile/provider or a malformed value
+ */
+const resolveVadParams = (req, config) => {
+  const query = new URL(req.url, 'http://localhost').searchParams;
+  const params = { ...config.defaults, profile: null };
+
+  const profileName = query.get('profile') || req.headers['x-vad-profile'];
+  if (profileName) {
+    if (!Object.prototype.hasOwnProperty.call(config.profiles, profileName)) {
+      throw new VadParamsError(`Unknown VAD profile: ${profileName} (available: ${Object.keys(config.profiles).join(', ') || 'none'})`);
+    }
+    Object.assign(params, config.profiles[profileName]);
+    params.profile = profileName;
+  }
+
+  for (const [name, param] of Object.entries(PARAMS)) {
+    const raw = query.has(param.query) ? query.get(param.query) : req.headers[param.header];
+    if (raw !== undefined && raw !== null) {
+      params[name] = parseValue(name, raw);
+    }
+  }
+
+  // Profiles are admin-defined, but all values still go through the bounds
+  for (const [name, bounds] of Object.entries(config.bounds)) {
+    if (params[name] !== null) {
+      params[name] = clamp(params[name], bounds);
+    }
+  }
+  if (!config.allowedProviders.includes(params.provider)) {
+    throw new VadParamsError(`ONNX provider not allowed: ${params.provider} (allowed: ${config.allowedProviders.join(', ')})`);
+  }
+  return params;
+};
+
+module.exports = {
+  VadParamsError,
+  loadVadConfig,
+  resolveVadParams,
+};
@@ -0,0 +1,529 @@
+const { EventEmitter } = require('events');
+const { randomUUID } = require('crypto');
+const { Writable } = require('stream');
+const SileroVADStream = require('./silero_stream');
+const SegmentQueue = require('./segment_queue');
+const { AudioDecoder, AudioFormatError } = require('./audio_decoder');
+const metrics = require('./metrics');
+const { ERROR_CODES } = require('./output_writer');
+const { SegmentRecorder } = require('./segment_recorder');
+const { logger } = require('./logger');
+const { vadEvents, PUBLISHED_EVENT_TYPES } = require('./vad_events');
+
+/**
+ * One VAD + STT session, shared by the HTTP and WebSocket transports.
+ * Client audio is written to `input` (or with write()), decoded (see audio_decoder.js)
+ * and fed to one SileroVADStream per channel: a single one unless the channels of a
+ * multi-channel input are processed separately, in which case events carry a `channel` label.
+ * Speech, transcript and error events are emitted as 'event' ({ type, ...fields, sessionId }).
+ * The session id (the caller's call id, or generated) also tags the logs and the STT requests.
+ * Speech and transcript events are also published on the process-wide feed (see vad_events.js).
+ * A fatal failure (invalid audio, VAD error) is reported with an 'error' event object
+ * first, then emitted as 'error'.
+ * Transcripts are delivered in utterance order; 'done' is emitted once the
+ * audio has ended and every segment has been transcribed.
+ * With options.recording, the session is recorded (see segment_recorder.js).
+ */
+class VadSession extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    this.sttAdapter = options.sttAdapter; // Wire format, see stt_adapters.js
+    this.sttClient = options.sttClient; // Timeouts, retries and failover, see stt_client.js
+    this.minSpeechDurationMs = options.minSpeechDurationMs;
+    this.thresholdBounds = options.thresholdBounds || null; // Admin bounds of setThreshold() (see vad_params.js)
+    this.vadOnly = options.vadOnly || false; // Detect segments without transcribing them
+    this.segmentId = 0; // Incremented on every speech start (on any channel), identifies the transcript of each utterance
+    this.sessionId = options.sessionId || randomUUID();
+    this.logger = (options.logger || logger).child({ sessionId: this.sessionId });
+
+    // Segments are transcribed concurrently but their events are emitted in order
+    this.queue = new SegmentQueue({
+      concurrency: options.sttConcurrency,
+      onResult: (result) => {
+        if (result) {
+          result.channel.pendingFinals--;
+          result.events.forEach((event) => this._emitEvent(event));
+        }
+      }
+    });
+    // Aborts interim requests when the client goes away (final ones are aborted by the queue)
+    this.abortController = new AbortController();
+    this.closed = false;
+    this.failed = false;
+
+    this.transport = options.transport || 'http'; // Label of the active streams gauge
+    this.active = true;
+    metrics.activeStreams.inc({ transport: this.transport });
+
+    // Client audio, decoded then written to every channel's VAD stream. A chunk is
+    // acknowledged once every channel has processed it, so controls stay in order with the audio.
+    this.vadOptions = { ...options.vadOptions };
+    this.decoder = new AudioDecoder(options.inputFormat || { encoding: 's16le', sampleRate: this.vadOptions.inputSampleRate || 16000 });
+    this.input = new Writable({
+      write: (chunk, encoding, callback) => this._writeAudio(chunk, callback),
+      final: (callback) => {
+        this._endAudio();
+        callback();
+      }
+    });
+    this.channels = []; // VAD pipelines, created once the input format is known (after the header for WAV)
+    this.endedChannels = 0;
+    this.outputSampleRate = null; // Sample rate of the audio forwarded to STT, see _startChannels()
+
+    // Optional recording of the client audio, the forwarded segments and their outcome
+    this.recorder = options.recording ? new SegmentRecorder({
+      ...options.recording,
+      sessionId: this.sessionId,
+      transport: this.transport,
+      vadOptions: this.vadOptions,
+      minSpeechDurationMs: this.minSpeechDurationMs,
+      logger: this.logger
+    }) : null;
+
+    if (this.decoder.format) {
+      // Throws synchronously on invalid VAD options, handled by the transport
+      this._startChannels();
+    }
+  }
+
+  // Feed client audio (in the session's input format)
+  write(chunk) {
+    return this.input.write(chunk);
+  }
+
+  // No more audio: flushes a segment still in progress
+  end() {
+    this.input.end();
+  }
+
+  // Close the current utterance now, as if enough silence had been detected
+  flush() {
+    return this._afterQueuedAudio(() => this.channels.map((channel) => channel.vadStream.flushSpeech()).some(Boolean));
+  }
+
+  // Drop the current utterance and restart the VAD model state
+  reset() {
+    return this._afterQueuedAudio(() => this.channels.forEach((channel) => channel.vadStream.resetState()));
+  }
+
+  // Resolves with the threshold applied: clamped to the admin bounds, as request parameters are
+  setThreshold(threshold) {
+    // Validate now so the caller gets the error, apply in order with the audio
+    SileroVADStream.validateThreshold(threshold);
+    const applied = this.thresholdBounds
+      ? Math.min(this.thresholdBounds.max, Math.max(this.thresholdBounds.min, threshold))
+      : threshold;
+    return this._afterQueuedAudio(() => {
+      this.vadOptions.threshold = applied; // Also for channels not created yet
+      this.channels.forEach((channel) => channel.vadStream.setThreshold(applied));
+      return applied;
+    });
+  }
+
+  // Controls apply in order with the audio: run once every chunk written so far has been processed
+  _afterQueuedAudio(action) {
+    return new Promise((resolve, reject) => {
+      this.input.write(Buffer.alloc(0), (err) => {
+        if (err) {
+          return reject(err);
+        }
+        try {
+          resolve(action());
+        } catch (actionError) {
+          reject(actionError);
+        }
+      });
+    });
+  }
+
+  destroy(err) {
+    this.close();
+    this.input.destroy();
+    this.channels.forEach((channel) => channel.vadStream.destroy(err));
+  }
+
+  // The client is gone: cancel pending STT requests, nothing more is emitted
+  close() {
+    if (this.closed) {
+      return;
+    }
+    this.closed = true;
+    this.queue.close();
+    this.abortController.abort();
+    this._deactivate();
+    this._closeRecorder('closed');
+  }
+
+  // Counts the session out of the active streams gauge, once
+  _deactivate() {
+    if (this.active) {
+      this.active = false;
+      metrics.activeStreams.dec({ transport: this.transport });
+    }
+  }
+
+  _closeRecorder(status) {
+    if (this.recorder) {
+      this.recorder.close(status);
+    }
+  }
+
+  // Reports a fatal error to the client, then to the transport
+  _fail(err, code) {
+    if (this.failed) {
+      return;
+    }
+    this.failed = true;
+    this.logger.error('Session failed', { code, error: err });
+    this._emitEvent({ type: 'error', code, message: err.message });
+    this._deactivate();
+    this._closeRecorder('failed');
+    this.emit('error', err);
+  }
+
+  _emitEvent(event) {
+    if (this.closed) {
+      return;
+    }
+    const payload = { ...event, sessionId: this.sessionId, timestamp: new Date().toISOString() };
+    this.emit('event', payload);
+    if (PUBLISHED_EVENT_TYPES.includes(event.type)) {
+      try {
+        vadEvents.emit(event.type, { ...payload, transport: this.transport });
+      } catch (err) {
+        // A failing subscriber must not break the session
+        this.logger.error('Event subscriber failed', { event: event.type, error: err });
+      }
+    }
+  }
+
+  _startChannels() {
+    const { encoding, sampleRate, channels } = this.decoder.format;
+    this.channels = this.decoder.outputLabels.map((label) => this._createChannel(label, sampleRate));
+    this.outputSampleRate = this.channels[0].vadStream.outputSampleRate;
+    if (this.channels.length > 1) {
+      this.logger.info('Running VAD on separate channels', { encoding, sampleRate, channels, labels: this.decoder.outputLabels });
+    }
+  }
+
+  _createChannel(label, sampleRate) {
+    const channel = {
+      label, // null for a single channel (no channel field in events)
+      vadStream: new SileroVADStream({
+        ...this.vadOptions,
+        inputSampleRate: sampleRate,
+        logger: this.logger.child({ component: 'silero_stream', ...(label !== null ? { channel: label } : {}) })
+      }),
+      segmentId: 0, // Current (or last) segment of this channel
+      pendingFinals: 0, // Final transcripts of this channel not delivered yet
+
+      // Interim transcription state (enabled with vadOptions.interimIntervalMs)
+      interimSeq: 0, // Sequence number of the last interim request sent
+      lastInterimEmitted: 0, // Sequence number of the last interim transcript emitted
+      interimInFlight: false, // Only one interim request at a time, ticks are skipped meanwhile
+      endedSegmentId: 0, // Last segment whose speech end was seen, its interims are stale
+    };
+
+    channel.vadStream
+      .on('error', (err) => this._fail(new Error(`SileroVADStream Error: ${err.message}`), ERROR_CODES.VAD_PROCESSING_FAILED))
+      .on('data', (data) => this._handleVadData(channel, data))
+      .on('finish', () => {
+        this.logger.debug('VAD stream finished processing', label !== null ? { channel: label } : {});
+      })
+      .on('end', () => {
+        this.endedChannels++;
+        if (this.endedChannels === this.channels.length) {
+          this._finish();
+        }
+      });
+    return channel;
+  }
+
+  _writeAudio(chunk, callback) {
+    if (this.failed) {
+      return callback();
+    }
+    metrics.bytesIn.inc(chunk.length);
+    if (this.recorder) {
+      this.recorder.recordInput(chunk);
+    }
+
+    let decoded;
+    try {
+      decoded = this.decoder.decode(chunk);
+      if (decoded && this.channels.length === 0) {
+        const { encoding, sampleRate, channels } = this.decoder.format;
+        this.logger.info('WAV header parsed', { encoding, sampleRate, channels });
+        this._startChannels();
+      }
+    } catch (err) {
+      this._fail(err, err instanceof AudioFormatError ? ERROR_CODES.INVALID_AUDIO : ERROR_CODES.VAD_INIT_FAILED);
+      return callback();
+    }
+    if (!decoded) {
+      return callback();
+    }
+
+    let remaining = this.channels.length;
+    this.channels.forEach((channel, index) => {
+      channel.vadStream.write(decoded[index], () => {
+        if (--remaining === 0) {
+          callback();
+        }
+      });
+    });
+  }
+
+  _endAudio() {
+    if (this.failed) {
+      return;
+    }
+    if (this.channels.length === 0) {
+      // The audio ended before the WAV header was complete: nothing to process
+      if (this.decoder.incomplete) {
+        this._fail(new AudioFormatError('Invalid WAV input: incomplete header'), ERROR_CODES.INVALID_AUDIO);
+        return;
+      }
+      this._finish();
+      return;
+    }
+    this.channels.forEach((channel) => channel.vadStream.end());
+  }
+
+  async _finish() {
+    // All segments are queued once every VAD stream has ended
+    await this.queue.onIdle();
+    this._deactivate();
+    this._closeRecorder('completed');
+    if (!this.closed) {
+      this.emit('done');
+    }
+  }
+
+  // Channel label for the events of multi-channel sessions
+  _channelField(channel) {
+    return channel.label !== null ? { channel: channel.label } : {};
+  }
+
+  _handleVadData(channel, { speech: speechEvent, audioData: chunk }) {
+    // chunk is at outputSampleRate (VAD's internal rate unless forwarding original audio)
+
+    if (speechEvent.start) {
+      channel.segmentId = ++this.segmentId;
+      this.logger.debug('Speech start', { segmentId: channel.segmentId, ...this._channelField(channel), startMs: speechEvent.startMs });
+      this._emitEvent({
+        type: 'speech_start',
+        segmentId: channel.segmentId,
+        ...this._channelField(channel),
+        startMs: speechEvent.startMs,
+        probability: speechEvent.probability
+      });
+    }
+
+    if (speechEvent.partial) {
+      if (this.vadOnly) {
+        return;
+      }
+      this._transcribeInterim(channel, channel.segmentId, chunk);
+      return;
+    }
+
+    if (speechEvent.end) {
+      // Duration measured on the audio itself, independent of how fast the client streams it
+      const speechDuration = speechEvent.durationMs;
+      const segmentId = channel.segmentId;
+      this.logger.info('Speech end', { segmentId, ...this._channelField(channel), startMs: speechEvent.startMs, durationMs: speechDuration, reason: speechEvent.reason });
+
+      metrics.segments.inc({ outcome: 'detected' });
+      channel.endedSegmentId = segmentId; // The final transcript supersedes pending interims
+      this._emitEvent({
+        type: 'speech_end',
+        segmentId,
+        ...this._channelField(channel),
+        startMs: speechEvent.startMs,
+        endMs: speechEvent.endMs,
+        durationMs: speechDuration,
+        confidence: speechEvent.confidence,
+        startSample: speechEvent.startSample,
+        endSample: speechEvent.endSample,
+        reason: speechEvent.reason
+      });
+
+      // Dropped by a reset control message: nothing to record or transcribe
+      if (speechEvent.reason === 'reset') {
+        metrics.segments.inc({ outcome: 'discarded_reset' });
+        return;
+      }
+
+      // Use the chunk directly from the end event (includes padding)
+      const combinedAudio = chunk && chunk.length > 0 ? chunk : Buffer.alloc(0);
+      const forwarded = combinedAudio.length > 0 && !this.vadOnly && speechDuration >= this.minSpeechDurationMs;
+      if (this.recorder) {
+        this.recorder.recordSegment({
+          segmentId,
+          ...this._channelField(channel),
+          startMs: speechEvent.startMs,
+          endMs: speechEvent.endMs,
+          durationMs: speechDuration,
+          confidence: speechEvent.confidence,
+          reason: speechEvent.reason,
+          audio: combinedAudio,
+          sampleRate: this.outputSampleRate,
+          sttStatus: forwarded ? 'pending' : combinedAudio.length === 0 ? 'no_audio' : this.vadOnly ? 'vad_only' : 'too_short'
+        });
+      }
+
+      if (combinedAudio.length === 0) {
+        this.logger.warn('Speech end event received no audio data, discarding', { segmentId });
+        metrics.segments.inc({ outcome: 'discarded_empty' });
+        return;
+      }
+
+      if (this.vadOnly) {
+        return;
+      }
+      if (forwarded) {
+        metrics.segments.inc({ outcome: 'forwarded' });
+        channel.pendingFinals++;
+        this.queue.push((signal) => this._transcribe(channel, segmentId, combinedAudio, signal).then((events) => ({ channel, events })));
+      } else {
+        this.logger.info('Speech too short, discarding', { segmentId, durationMs: speechDuration });
+        metrics.segments.inc({ outcome: 'discarded_too_short' });
+      }
+    }
+  }
+
+  // Resolves with the events to emit for the segment, in order with the other segments
+  async _transcribe(channel, segmentId, audio, signal) {
+    this.logger.debug('Sending segment to STT service', { segmentId, bytes: audio.length, sampleRate: this.outputSampleRate });
+
+    const sttStartTime = Date.now();
+    try {
+      // The adapter encodes the audio for the provider and maps its response back to text
+      const { text: transcription, status, url, attempts } = await this.sttClient.transcribe(this.sttAdapter, audio, {
+        sampleRate: this.outputSampleRate,
+        signal,
+        headers: this._sttHeaders(segmentId),
+        logger: this.logger
+      });
+      const sttLatency = Date.now() - sttStartTime;
+      this.logger.info('STT response received', { segmentId, url, status, sttLatencyMs: sttLatency, attempts, empty: !transcription });
+      this._recordTranscript(segmentId, { status: transcription ? 'ok' : 'empty', text: transcription || '', sttLatencyMs: sttLatency, attempts });
+
+      if (transcription) {
+          this.logger.debug('Transcription received', { segmentId, text: transcription });
+          return [{
+            type: 'transcript',
+            segmentId,
+            ...this._channelField(channel),
+            partial: false,
+            text: transcription,
+            sttLatencyMs: sttLatency
+          }];
+      }
+      return [];
+
+    } catch (err) {
+      if (signal && signal.aborted) {
+        this.logger.info('STT request cancelled, client disconnected', { segmentId });
+        this._recordTranscript(segmentId, { status: 'cancelled' });
+        return [];
+      }
+      this._logSttError(err, segmentId);
+
+      // Inform the client about the error (code from SttError: stt_request_failed, stt_timeout, stt_unavailable)
+      const code = err.code && err.name === 'SttError' ? err.code : ERROR_CODES.STT_REQUEST_FAILED;
+      this._recordTranscript(segmentId, { status: 'error', code, message: err.message, attempts: err.attempts });
+      return [{
+        type: 'error',
+        code,
+        message: err.message,
+        segmentId,
+        ...this._channelField(channel)
+      }];
+    }
+  }
+
+  // Sends the speech accumulated so far; the result is emitted as a partial transcript
+  // unless the segment has ended or a newer interim has already been emitted.
+  async _transcribeInterim(channel, segmentId, audio) {
+    if (this.closed || channel.interimInFlight || !audio || audio.length === 0) {
+      return;
+    }
+    channel.interimInFlight = true;
+    const seq = ++channel.interimSeq;
+
+    const sttStartTime = Date.now();
+    try {
+      // No retries: a failed interim is simply superseded by the next one
+      const { text } = await this.sttClient.transcribe(this.sttAdapter, audio, {
+        sampleRate: this.outputSampleRate,
+        signal: this.abortController.signal,
+        retries: 0,
+        headers: this._sttHeaders(segmentId),
+        logger: this.logger
+      });
+      const sttLatency = Date.now() - sttStartTime;
+
+      // Also stale while earlier segments of the channel still wait for their final transcript
+      if (segmentId <= channel.endedSegmentId || seq <= channel.lastInterimEmitted || channel.pendingFinals > 0) {
+        this.logger.debug('Discarding stale interim transcription', { segmentId });
+        return;
+      }
+      if (text) {
+        channel.lastInterimEmitted = seq;
+        this._emitEvent({
+          type: 'transcript',
+          segmentId,
+          ...this._channelField(channel),
+          partial: true,
+          text,
+          sttLatencyMs: sttLatency
+        });
+      }
+    } catch (err) {
+      // Interim failures are not reported to the client, the final transcript will follow
+      if (!this.closed) {
+        this._logSttError(err, segmentId, true);
+      }
+    } finally {
+      channel.interimInFlight = false;
+    }
+  }
+
+  _recordTranscript(segmentId, result) {
+    if (this.recorder) {
+      this.recorder.recordTranscript(segmentId, result);
+    }
+  }
+
+  // Correlates the STT request with the call: session id and segment index
+  _sttHeaders(segmentId) {
+    return { 'X-Call-Id': this.sessionId, 'X-Segment-Index': String(segmentId) };
+  }
+
+  _logSttError(err, segmentId, interim = false) {
+    const cause = err.cause || err; // Underlying axios error of an SttError
+    const fields = { segmentId, interim, url: err.url || null, code: err.code, attempts: err.attempts, error: err.message };
+    if (cause.response) {
+        // The server responded with a status code that falls out of the range of 2xx
+        fields.status = cause.response.status;
+        fields.responseData = cause.response.data;
+    } else if (cause.request) {
+        // The request was made but no response was received
+        fields.cause = `No response received: ${cause.message}`;
+    } else if (cause !== err) {
+        // Something happened in setting up the request that triggered an Error
+        fields.cause = `Error setting up request: ${cause.message}`;
+    }
+    // Interim failures are superseded by the final transcript
+    if (interim) {
+      this.logger.warn('Interim STT request failed', fields);
+    } else {
+      this.logger.error('STT request failed', fields);
+    }
+  }
+}
+
+module.exports = VadSession;
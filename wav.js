@@ -0,0 +1,35 @@
+// Minimal WAV (RIFF, PCM) helpers
+
+const WAV_HEADER_SIZE = 44;
+
+/**
+ * Wraps raw little-endian PCM in a canonical 44-byte WAV header.
+ * @param {Buffer} pcm Interleaved PCM samples
+ * @param {{ sampleRate: number, channels?: number, bitsPerSample?: number }} format
+ * @returns {Buffer}
+ */
+const encodeWav = (pcm, { sampleRate, channels = 1, bitsPerSample = 16 }) => {
+  const blockAlign = channels * (bitsPerSample / 8);
+  const header = Buffer.alloc(WAV_HEADER_SIZE);
+
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(36 + pcm.length, 4);
+  header.write('WAVE', 8, 'ascii');
+  header.write('fmt ', 12, 'ascii');
+  header.writeUInt32LE(16, 16); // fmt chunk size
+  header.writeUInt16LE(1, 20); // Audio format 1 = PCM
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * blockAlign, 28); // Byte rate
+  header.writeUInt16LE(blockAlign, 32);
+  header.writeUInt16LE(bitsPerSample, 34);
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(pcm.length, 40);
+
+  return Buffer.concat([header, pcm]);
+};
+
+module.exports = {
+  encodeWav,
+  WAV_HEADER_SIZE,
+};
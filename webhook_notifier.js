@@ -0,0 +1,72 @@
+// Webhook delivery of the session events (WEBHOOK_URLS), e.g. so AVR core can stop TTS
+// playback as soon as the caller starts talking. Each event is POSTed as JSON to every URL,
+// fire and forget: delivery never delays the session, a slow or failing receiver only costs
+// a timeout and a log line, and beyond maxInFlight pending requests new events are dropped.
+const axios = require('axios');
+const metrics = require('./metrics');
+const { logger } = require('./logger');
+
+class WebhookNotifier {
+  /**
+   * @param {object} options
+   * @param {string[]} options.urls Receivers, each gets every event
+   * @param {string[]} options.events Event types to deliver (see PUBLISHED_EVENT_TYPES in vad_events.js)
+   * @param {string[]} options.transports Sessions whose events are delivered (http, websocket, batch)
+   * @param {number} [options.timeoutMs=2000] Timeout of each delivery
+   * @param {number} [options.maxInFlight=100] Pending deliveries beyond which events are dropped
+   */
+  constructor({ urls, events, transports, timeoutMs = 2000, maxInFlight = 100 }) {
+    this.urls = urls;
+    this.events = events;
+    this.transports = transports;
+    this.timeoutMs = timeoutMs;
+    this.maxInFlight = maxInFlight;
+    this.inFlight = 0;
+    this.logger = logger.child({ component: 'webhook_notifier' });
+  }
+
+  // Subscribes to the event feed (vadEvents)
+  attach(emitter) {
+    this.events.forEach((type) => emitter.on(type, (event) => this.notify(event)));
+    return this;
+  }
+
+  notify(event) {
+    if (!this.transports.includes(event.transport)) {
+      return;
+    }
+    this.urls.forEach((url) => this._deliver(url, event));
+  }
+
+  _deliver(url, event) {
+    if (this.inFlight >= this.maxInFlight) {
+      metrics.webhookDeliveries.inc({ event: event.type, outcome: 'dropped' });
+      this.logger.warn('Too many pending webhook deliveries, event dropped', { url, sessionId: event.sessionId, event: event.type, inFlight: this.inFlight });
+      return;
+    }
+    this.inFlight++;
+    const startTime = Date.now();
+    axios.post(url, event, {
+      timeout: this.timeoutMs,
+      headers: { 'Content-Type': 'application/json', 'X-Call-Id': event.sessionId, 'X-Event-Type': event.type },
+    }).then(() => {
+      metrics.webhookDeliveries.inc({ event: event.type, outcome: 'delivered' });
+      this.logger.debug('Webhook delivered', { url, sessionId: event.sessionId, event: event.type, latencyMs: Date.now() - startTime });
+    }).catch((err) => {
+      metrics.webhookDeliveries.inc({ event: event.type, outcome: 'failed' });
+      this.logger.warn('Webhook delivery failed', {
+        url,
+        sessionId: event.sessionId,
+        event: event.type,
+        status: err.response ? err.response.status : null,
+        error: err.message,
+      });
+    }).finally(() => {
+      this.inFlight--;
+    });
+  }
+}
+
+module.exports = {
+  WebhookNotifier,
+};
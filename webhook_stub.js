@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+// Local webhook receiver, to check the webhook configuration without AVR core: prints every
+// delivery as one JSON line (the payload, the X-Call-Id / X-Event-Type headers and the delay
+// since the event timestamp) and answers 204.
+//
+// Usage: node webhook_stub.js [--port 6030] [--delay-ms 0] [--status 204]
+//   --delay-ms and --status simulate a slow or failing receiver (see WEBHOOK_TIMEOUT_MS).
+// Then start the service with WEBHOOK_URLS=http://localhost:6030/events
+const http = require('http');
+
+const parseArgs = (argv) => {
+  const args = { port: 6030, delayMs: 0, status: 204 };
+  for (let i = 0; i < argv.length; i += 2) {
+    const value = parseInt(argv[i + 1], 10);
+    if (!Number.isInteger(value)) {
+      throw new Error(`Missing or invalid value for ${argv[i]}`);
+    }
+    if (argv[i] === '--port') {
+      args.port = value;
+    } else if (argv[i] === '--delay-ms') {
+      args.delayMs = value;
+    } else if (argv[i] === '--status') {
+      args.status = value;
+    } else {
+      throw new Error(`Unexpected argument: ${argv[i]}`);
+    }
+  }
+  return args;
+};
+
+const args = parseArgs(process.argv.slice(2));
+
+const server = http.createServer((req, res) => {
+  const chunks = [];
+  req.on('data', (chunk) => chunks.push(chunk));
+  req.on('end', () => {
+    const receivedAt = new Date();
+    let payload;
+    try {
+      payload = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    } catch (err) {
+      payload = { invalidJson: Buffer.concat(chunks).toString('utf8') };
+    }
+    console.log(JSON.stringify({
+      receivedAt: receivedAt.toISOString(),
+      path: req.url,
+      callId: req.headers['x-call-id'],
+      eventType: req.headers['x-event-type'],
+      delayMs: payload.timestamp ? receivedAt - new Date(payload.timestamp) : null,
+      payload,
+    }));
+    setTimeout(() => {
+      res.statusCode = args.status;
+      res.end();
+    }, args.delayMs);
+  });
+});
+
+server.listen(args.port, () => {
+  console.error(`Webhook stub listening on http://localhost:${args.port} (status ${args.status}, delay ${args.delayMs}ms)`);
+});